@@ -12,6 +12,7 @@ import { DomainService, setDebugLevel as setDomainDebugLevel } from '../../servi
 import { EmailService, setDebugLevel as setEmailDebugLevel } from '../../services/aapanel/email.service.js'
 import { ParallelService } from '../../services/shared/parallel.service.js'
 import { UtilService } from '../../services/shared/util.service.js'
+import { VaultService } from '../../services/shared/vault.service.js'
 
 export default class AapanelCreate extends Command {
   static description = 'Create aaPanel email accounts in bulk'
@@ -19,6 +20,7 @@ export default class AapanelCreate extends Command {
   static examples = [
     '<%= config.bin %> <%= command.id %>',
     '<%= config.bin %> <%= command.id %> --csv input/batch-create-example.csv',
+    '<%= config.bin %> <%= command.id %> --vault main-aapanel',
     '<%= config.bin %> <%= command.id %> --server https://145.79.12.148:27208 --api-key your-key',
     '<%= config.bin %> <%= command.id %> --parallel 5 --debug',
   ]
@@ -28,6 +30,9 @@ export default class AapanelCreate extends Command {
       char: 's',
       description: 'aaPanel server URL (with protocol and port)',
     }),
+    vault: Flags.string({
+      description: 'Read aaPanel credentials from this vault entry (see: emoo vault set --type aapanel)',
+    }),
     'api-key': Flags.string({
       char: 'k',
       description: 'aaPanel API secret key',
@@ -359,9 +364,10 @@ export default class AapanelCreate extends Command {
       setEmailDebugLevel(debugLevel)
 
       // Step 1: Get credentials
+      const stored = flags.vault ? await VaultService.getCredentials(flags.vault, 'aapanel') : {}
       const credentials = await this.getAapanelCredentials({
-        server: flags.server,
-        apiKey: flags['api-key']
+        server: flags.server || stored.server,
+        apiKey: flags['api-key'] || stored.apiKey
       })
 
       // Step 2: Initialize services
@@ -10,6 +10,7 @@ import { DomainService, setDebugLevel as setDomainDebugLevel } from '../../servi
 import { EmailService, setDebugLevel as setEmailDebugLevel } from '../../services/cpanel/email.service.js'
 import { ParallelService } from '../../services/shared/parallel.service.js'
 import { UtilService } from '../../services/shared/util.service.js'
+import { VaultService } from '../../services/shared/vault.service.js'
 
 export default class CpanelCreate extends Command {
   static description = 'Create cPanel email accounts in bulk'
@@ -17,6 +18,7 @@ export default class CpanelCreate extends Command {
   static examples = [
     '<%= config.bin %> <%= command.id %>',
     '<%= config.bin %> <%= command.id %> --csv input/batch-create-example.csv',
+    '<%= config.bin %> <%= command.id %> --vault main-cpanel',
     '<%= config.bin %> <%= command.id %> --server cpanel.example.com --username admin --api-key your-key',
     '<%= config.bin %> <%= command.id %> --parallel 5 --debug',
   ]
@@ -30,6 +32,9 @@ export default class CpanelCreate extends Command {
       char: 'u',
       description: 'cPanel username',
     }),
+    vault: Flags.string({
+      description: 'Read cPanel credentials from this vault entry (see: emoo vault set --type cpanel)',
+    }),
     'api-key': Flags.string({
       char: 'k',
       description: 'cPanel API key',
@@ -212,10 +217,11 @@ export default class CpanelCreate extends Command {
       setEmailDebugLevel(debugLevel)
 
       // Step 1: Get credentials
+      const stored = flags.vault ? await VaultService.getCredentials(flags.vault, 'cpanel') : {}
       const credentials = await UtilService.getInteractiveInput({
-        server: flags.server,
-        username: flags.username,
-        apiKey: flags['api-key']
+        server: flags.server || stored.server,
+        username: flags.username || stored.username,
+        apiKey: flags['api-key'] || stored.apiKey
       })
 
       // Step 2: Initialize services
@@ -0,0 +1,78 @@
+import { Args, Command, Flags } from '@oclif/core'
+import chalk from 'chalk'
+import path from 'path'
+import { SyncLogService } from '../../services/imap/logs.service.js'
+
+export default class LogsGrep extends Command {
+  static description = 'Search the account logs of a sync batch'
+
+  static examples = [
+    '<%= config.bin %> <%= command.id %> 1735660800 "Err|NO \\["',
+    '<%= config.bin %> <%= command.id %> latest "authentication failed" --ignore-case',
+  ]
+
+  static args = {
+    batch: Args.string({
+      description: 'Batch: unix timestamp directory, path, or "latest"',
+      required: true,
+    }),
+    pattern: Args.string({
+      description: 'Regular expression to search for',
+      required: true,
+    }),
+  }
+
+  static flags = {
+    'log-dir': Flags.string({
+      description: 'Directory containing the batch directories',
+      default: SyncLogService.DEFAULT_LOG_DIR,
+    }),
+    'ignore-case': Flags.boolean({
+      char: 'i',
+      description: 'Match regardless of case',
+    }),
+    'files-with-matches': Flags.boolean({
+      char: 'l',
+      description: 'Only list the logs that match',
+    }),
+  }
+
+  async run() {
+    const {args, flags} = await this.parse(LogsGrep)
+
+    try {
+      let regex
+      try {
+        regex = new RegExp(args.pattern, flags['ignore-case'] ? 'i' : '')
+      } catch (error) {
+        this.error(`Invalid pattern: ${error.message}`)
+      }
+
+      const logService = new SyncLogService(flags['log-dir'])
+      const dir = await logService.resolveBatch(args.batch)
+
+      const files = new Set()
+      const count = await SyncLogService.grep(dir, regex, ({ file, line, text }) => {
+        if (flags['files-with-matches']) {
+          if (!files.has(file)) {
+            files.add(file)
+            this.log(file)
+          }
+          return
+        }
+        files.add(file)
+        this.log(`${chalk.magenta(path.basename(file))}:${chalk.green(line)}: ${text.replace(regex, match => chalk.red.bold(match))}`)
+      })
+
+      if (count === 0) {
+        this.log(chalk.yellow(`No matches in: ${dir}`))
+        process.exit(1)
+      }
+      if (!flags['files-with-matches']) {
+        this.log(chalk.blue(`\n${count} matching line(s) in ${files.size} log(s)`))
+      }
+    } catch (error) {
+      this.error(error.message)
+    }
+  }
+}
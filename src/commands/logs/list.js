@@ -0,0 +1,64 @@
+import { Command, Flags } from '@oclif/core'
+import chalk from 'chalk'
+import { SyncLogService } from '../../services/imap/logs.service.js'
+import { SyncReportService } from '../../services/imap/report.service.js'
+import { SyncStatsService } from '../../services/imap/stats.service.js'
+
+export default class LogsList extends Command {
+  static description = 'List sync batches with their dates, row counts and size'
+
+  static examples = [
+    '<%= config.bin %> <%= command.id %>',
+    '<%= config.bin %> <%= command.id %> --log-dir /srv/migration/sync-log',
+  ]
+
+  static flags = {
+    'log-dir': Flags.string({
+      description: 'Directory containing the batch directories',
+      default: SyncLogService.DEFAULT_LOG_DIR,
+    }),
+  }
+
+  async run() {
+    const {flags} = await this.parse(LogsList)
+
+    try {
+      const logService = new SyncLogService(flags['log-dir'])
+      const batches = await logService.listBatches()
+
+      if (batches.length === 0) {
+        this.log(chalk.yellow(`No batches found in: ${flags['log-dir']}`))
+        return
+      }
+
+      const table = batches.map(batch => {
+        const { success = 0, failed = 0, ...others } = batch.counts
+        const other = Object.values(others).reduce((total, count) => total + count, 0)
+        return [
+          String(batch.batch),
+          SyncReportService.formatTime(batch.startedAt.getTime()),
+          batch.rows === null ? '-' : String(batch.rows),
+          batch.rows === null ? '-' : String(success),
+          batch.rows === null ? '-' : String(failed),
+          batch.rows === null ? '-' : String(other),
+          SyncStatsService.formatBytes(batch.bytes),
+          batch.compressed ? 'gz' : '',
+        ]
+      })
+      const header = ['Batch', 'Started', 'Rows', 'OK', 'Failed', 'Other', 'Size', '']
+      const widths = header.map((title, column) => Math.max(title.length, ...table.map(row => row[column].length)))
+      const format = row => row.map((cell, column) => (column >= 2 && column <= 6 ? cell.padStart(widths[column]) : cell.padEnd(widths[column]))).join('  ').trimEnd()
+
+      this.log(chalk.bold(format(header)))
+      table.forEach((row, index) => {
+        const line = format(row)
+        this.log(batches[index].counts.failed ? chalk.red(line) : line)
+      })
+
+      const total = batches.reduce((sum, batch) => sum + batch.bytes, 0)
+      this.log(chalk.blue(`\n${batches.length} batch(es), ${SyncStatsService.formatBytes(total)} in ${flags['log-dir']}`))
+    } catch (error) {
+      this.error(error.message)
+    }
+  }
+}
@@ -0,0 +1,84 @@
+import { Command, Flags } from '@oclif/core'
+import chalk from 'chalk'
+import { SyncAgeFilter } from '../../services/imap/age.service.js'
+import { SyncLogService } from '../../services/imap/logs.service.js'
+import { SyncReportService } from '../../services/imap/report.service.js'
+import { SyncStatsService } from '../../services/imap/stats.service.js'
+import { ConfigService } from '../../services/shared/config.service.js'
+import { UtilService } from '../../services/shared/util.service.js'
+
+export default class LogsPrune extends Command {
+  static description = 'Delete or compress sync batches older than a retention period'
+
+  static examples = [
+    '<%= config.bin %> <%= command.id %> --older-than 90d --dry-run',
+    '<%= config.bin %> <%= command.id %> --older-than 30d --compress',
+    '<%= config.bin %> <%= command.id %> --force',
+  ]
+
+  static flags = {
+    'log-dir': Flags.string({
+      description: 'Directory containing the batch directories',
+      default: SyncLogService.DEFAULT_LOG_DIR,
+    }),
+    'older-than': Flags.string({
+      description: 'Retention period, e.g. 30d, 12w or a date (default: logs.retention in ~/.emoo/config.json)',
+    }),
+    compress: Flags.boolean({
+      description: 'Gzip the account logs of old batches instead of deleting them',
+    }),
+    'dry-run': Flags.boolean({
+      description: 'Only list the batches that would be deleted or compressed',
+    }),
+    force: Flags.boolean({
+      char: 'f',
+      description: 'Prune without asking',
+    }),
+  }
+
+  async run() {
+    const {flags} = await this.parse(LogsPrune)
+
+    try {
+      const retention = flags['older-than'] ?? await ConfigService.get('logs.retention')
+      if (!retention) {
+        this.error('No retention period: pass --older-than (e.g. 90d) or set logs.retention in the config file')
+      }
+      const before = SyncAgeFilter.parseDateOrDuration(retention)
+
+      const logService = new SyncLogService(flags['log-dir'])
+      const batches = await logService.findExpired(before, { compress: flags.compress })
+      const verb = flags.compress ? 'compress' : 'delete'
+
+      if (batches.length === 0) {
+        this.log(chalk.green(`Nothing to ${verb}: no ${flags.compress ? 'uncompressed ' : ''}batches last written before ${before.toISOString()}`))
+        return
+      }
+
+      this.log(chalk.blue(`Batches last written before ${before.toISOString()}:`))
+      for (const batch of batches) {
+        this.log(`  ${batch.batch}  ${SyncReportService.formatTime(batch.lastActivity.getTime())}  ${SyncStatsService.formatBytes(batch.bytes).padStart(11)}  ${batch.dir}`)
+      }
+      const total = SyncStatsService.formatBytes(batches.reduce((sum, batch) => sum + batch.bytes, 0))
+
+      if (flags['dry-run']) {
+        this.log(chalk.yellow(`\nDry run: would ${verb} ${batches.length} batch(es) (${total})`))
+        return
+      }
+
+      if (!flags.force && !await UtilService.confirmAction(`${flags.compress ? 'Compress' : 'Delete'} ${batches.length} batch(es) (${total})?`, false)) {
+        this.log('Cancelled.')
+        return
+      }
+
+      let saved = 0
+      await logService.prune(batches, batch => {
+        saved += batch.savedBytes
+        this.log(chalk.gray(`${flags.compress ? 'Compressed' : 'Deleted'}: ${batch.dir}`))
+      })
+      this.log(chalk.green(`✅ ${flags.compress ? 'Compressed' : 'Deleted'} ${batches.length} batch(es), freed ${SyncStatsService.formatBytes(saved)}`))
+    } catch (error) {
+      this.error(error.message)
+    }
+  }
+}
@@ -0,0 +1,79 @@
+import { Args, Command, Flags } from '@oclif/core'
+import chalk from 'chalk'
+import path from 'path'
+import { SyncLogService } from '../../services/imap/logs.service.js'
+
+export default class LogsShow extends Command {
+  static description = 'Show or tail the log of one account in a sync batch'
+
+  static examples = [
+    '<%= config.bin %> <%= command.id %> 1735660800 user1@old.com',
+    '<%= config.bin %> <%= command.id %> latest user1@old.com --tail 50',
+    '<%= config.bin %> <%= command.id %> latest user1@old.com --follow',
+  ]
+
+  static args = {
+    batch: Args.string({
+      description: 'Batch: unix timestamp directory, path, or "latest"',
+      required: true,
+    }),
+    account: Args.string({
+      description: 'Source or destination user of the row',
+      required: true,
+    }),
+  }
+
+  static flags = {
+    'log-dir': Flags.string({
+      description: 'Directory containing the batch directories',
+      default: SyncLogService.DEFAULT_LOG_DIR,
+    }),
+    tail: Flags.string({
+      char: 'n',
+      description: 'Only show the last n lines',
+    }),
+    follow: Flags.boolean({
+      char: 'f',
+      description: 'Keep printing new lines while the account syncs (Ctrl-C to stop)',
+    }),
+    attempt: Flags.string({
+      description: 'Show an earlier attempt of a retried row (1 = first; default: the last)',
+    }),
+  }
+
+  async run() {
+    const {args, flags} = await this.parse(LogsShow)
+
+    try {
+      const logService = new SyncLogService(flags['log-dir'])
+      const dir = await logService.resolveBatch(args.batch)
+      const files = await logService.findAccountLogs(dir, args.account)
+
+      const attempt = flags.attempt ? parseInt(flags.attempt, 10) : files.length
+      if (!(attempt >= 1 && attempt <= files.length)) {
+        this.error(`Attempt must be between 1 and ${files.length}`)
+      }
+      const file = files[attempt - 1]
+      if (flags.follow && file.endsWith('.gz')) {
+        this.error(`${path.basename(file)} is compressed, the batch has finished`)
+      }
+
+      this.log(chalk.blue(`==> ${file}${files.length > 1 ? ` (attempt ${attempt} of ${files.length})` : ''} <==`))
+      if (flags.tail || flags.follow) {
+        const lines = await SyncLogService.tailLines(file, parseInt(flags.tail, 10) || 10)
+        lines.forEach(line => this.log(line))
+      } else {
+        process.stdout.write(await SyncLogService.readLog(file))
+      }
+
+      if (flags.follow) {
+        const controller = new AbortController()
+        process.once('SIGINT', () => controller.abort())
+        process.once('SIGTERM', () => controller.abort())
+        await SyncLogService.follow(file, data => process.stdout.write(data), controller.signal)
+      }
+    } catch (error) {
+      this.error(error.message)
+    }
+  }
+}
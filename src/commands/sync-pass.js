@@ -4,6 +4,7 @@ import { createObjectCsvWriter } from 'csv-writer'
 import fs from 'fs-extra'
 import inquirer from 'inquirer'
 import path from 'path'
+import { VaultService } from '../services/shared/vault.service.js'
 
 export default class SyncPass extends Command {
   static description = 'Sync passwords from reset/create results to imapsync configuration'
@@ -14,6 +15,7 @@ export default class SyncPass extends Command {
     '<%= config.bin %> <%= command.id %> --target dst --output input/sync/updated-migration.csv',
     '<%= config.bin %> <%= command.id %> --create-new --target src',
     '<%= config.bin %> <%= command.id %> --include-failed --target dst',
+    '<%= config.bin %> <%= command.id %> --vault --target dst',
   ]
 
   static flags = {
@@ -41,6 +43,9 @@ export default class SyncPass extends Command {
       description: 'Include failed password resets/creates in the output (default: false)',
       default: false,
     }),
+    vault: Flags.boolean({
+      description: 'Store the passwords in the vault and write vault: references instead of plaintext',
+    }),
     debug: Flags.boolean({
       description: 'Show detailed debug information',
     }),
@@ -559,6 +564,18 @@ export default class SyncPass extends Command {
         this.error('❌ No successful entries found in the file')
       }
 
+      // Keep plaintext out of the output: passwords go to the vault, the CSV gets references
+      if (flags.vault) {
+        const vault = await VaultService.open()
+        successfulEntries.forEach(record => {
+          const name = `mail/${record.Email}`
+          vault.set(name, record.Password)
+          record.Password = `vault:${name}`
+        })
+        await vault.save()
+        this.log(`🔐 Stored ${successfulEntries.length} password(s) in the vault: ${vault.file}`)
+      }
+
       // Step 3: Check if creating new or updating existing
       let createNew = flags['create-new']
       if (createNew === undefined) {
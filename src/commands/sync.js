@@ -2,6 +2,8 @@ import { Command, Flags } from '@oclif/core'
 import fs from 'fs-extra'
 import inquirer from 'inquirer'
 import path from 'path'
+import { SyncRetryPolicy } from '../services/imap/retry.service.js'
+import { HostScheduler } from '../services/imap/scheduler.service.js'
 import { ImapService } from '../services/imap/sync.service.js'
 
 export default class Sync extends Command {
@@ -14,6 +16,16 @@ export default class Sync extends Command {
     '<%= config.bin %> <%= command.id %> --dry-run --parallel 4',
     '<%= config.bin %> <%= command.id %> --docker --log-dir ./results/sync-log',
     '<%= config.bin %> <%= command.id %> --debug --parallel 2',
+    '<%= config.bin %> <%= command.id %> --engine native --csv input/my-migration.csv',
+    '<%= config.bin %> <%= command.id %> --resume 1735689600',
+    '<%= config.bin %> <%= command.id %> --auto-map --csv input/my-migration.csv',
+    '<%= config.bin %> <%= command.id %> --before 7d --all',
+    '<%= config.bin %> <%= command.id %> --delta --all',
+    '<%= config.bin %> <%= command.id %> --preflight --all',
+    '<%= config.bin %> <%= command.id %> --retries 3 --retry-delay 60 --all',
+    '<%= config.bin %> <%= command.id %> --parallel 8 --max-per-src-host 2 --all',
+    '<%= config.bin %> <%= command.id %> --window 22:00-06:00 --timezone Europe/Berlin --all',
+    '<%= config.bin %> <%= command.id %> --job input/migration.yaml --all',
   ]
 
   static flags = {
@@ -21,14 +33,38 @@ export default class Sync extends Command {
       char: 'c',
       description: 'CSV file containing sync configurations (will prompt if not provided)',
     }),
+    job: Flags.string({
+      description: 'YAML or JSON job file (defaults plus accounts) instead of a CSV',
+      exclusive: ['csv'],
+    }),
+    'src-provider': Flags.string({
+      description: 'Provider preset for rows without a src_provider, e.g. gmail, office365, cpanel',
+    }),
+    'dst-provider': Flags.string({
+      description: 'Provider preset for rows without a dst_provider, e.g. gmail, office365, cpanel',
+    }),
     parallel: Flags.string({
       char: 'j',
       description: 'Number of parallel jobs',
       default: '1',
     }),
+    'max-per-src-host': Flags.string({
+      description: 'Maximum parallel jobs against the same source host',
+    }),
+    'max-per-dst-host': Flags.string({
+      description: 'Maximum parallel jobs against the same destination host',
+    }),
+    'host-limits': Flags.string({
+      description: 'JSON file with per-host job limits, e.g. {"mail.old.com": 2}',
+    }),
     docker: Flags.boolean({
       description: 'Use Docker for imapsync',
     }),
+    engine: Flags.string({
+      description: 'Sync engine: spawn imapsync or copy with the built-in IMAP client',
+      options: ['imapsync', 'native'],
+      default: 'imapsync',
+    }),
     'log-dir': Flags.string({
       description: 'Log directory',
       default: './results/sync-log',
@@ -46,6 +82,53 @@ export default class Sync extends Command {
     'skip-selection': Flags.boolean({
       description: 'Skip interactive email selection (same as --all)',
     }),
+    'auto-map': Flags.boolean({
+      description: 'Map SPECIAL-USE folders (Sent, Drafts, Junk, Trash) between both sides automatically',
+    }),
+    since: Flags.string({
+      description: 'Only sync messages since a date (2024-01-31) or duration ago (30d, 12h, 2w)',
+    }),
+    before: Flags.string({
+      description: 'Only sync messages before a date (2024-01-31) or duration ago (30d, 12h, 2w)',
+    }),
+    delta: Flags.boolean({
+      description: 'Only sync messages newer than each row\'s last successful sync in previous batches',
+    }),
+    retries: Flags.string({
+      description: 'Retry rows that fail with a transient error up to N times',
+      default: '0',
+    }),
+    'retry-delay': Flags.string({
+      description: 'Initial delay in seconds before a retry, doubled on every attempt',
+      default: '30',
+    }),
+    preflight: Flags.boolean({
+      description: 'Check logins on both sides of every row first and skip rows that fail',
+    }),
+    window: Flags.string({
+      description: 'Only start rows inside a daily maintenance window, e.g. 22:00-06:00',
+    }),
+    timezone: Flags.string({
+      description: 'Time zone of --window, e.g. Europe/Berlin (default: system time zone)',
+    }),
+    'window-pause': Flags.boolean({
+      description: 'Pause running rows when the window closes and resume them when it reopens (default: let them finish); native engine rows stop between two messages',
+    }),
+    'token-endpoint': Flags.string({
+      description: 'OAuth2 token endpoint for src_oauth/dst_oauth token files that do not name one',
+    }),
+    force: Flags.boolean({
+      description: 'Sync even if the CSV has validation errors',
+    }),
+    'common-opts': Flags.string({
+      description: 'Extra imapsync options for every row, quoted like a shell (default: sync.commonOpts in ~/.emoo/config.json, then COMMON_OPTS)',
+    }),
+    'allow-dangerous': Flags.boolean({
+      description: 'Allow imapsync options that delete mail or folders (--delete1, --delete2, --expunge1, ...) without asking',
+    }),
+    resume: Flags.string({
+      description: 'Resume a batch (unix timestamp directory or path), re-running only pending or failed rows',
+    }),
   }
 
   async promptForCsvFile() {
@@ -149,29 +232,54 @@ export default class Sync extends Command {
 
     try {
       // If CSV flag is not provided, prompt user for CSV file
-      let csvFile = flags.csv
-      if (!csvFile) {
+      let csvFile = flags.job || flags.csv
+      if (!csvFile && !flags.resume) {
         this.log('No CSV file specified, please select one:')
         csvFile = await this.promptForCsvFile()
       }
 
-      // Validate that the file exists
-      if (!await fs.pathExists(csvFile)) {
-        this.error(`CSV file not found: ${csvFile}`)
+      // Validate that the file exists (a resumed batch knows its own CSV)
+      if (csvFile && !await fs.pathExists(csvFile)) {
+        this.error(`${flags.job ? 'Job' : 'CSV'} file not found: ${csvFile}`)
       }
 
-      const imapService = new ImapService()
+      // Per-host limits file is read up front so a typo fails before anything starts
+      const hostLimits = flags['host-limits']
+        ? await HostScheduler.loadHostLimits(flags['host-limits'])
+        : null
+
+      const imapService = new ImapService({ tokenEndpoint: flags['token-endpoint'] })
       
       // Map flags to options format expected by the service
       const options = {
         csv: csvFile,
         jobs: parseInt(flags.parallel, 10) || 1,
+        maxPerSrcHost: parseInt(flags['max-per-src-host'], 10) || null,
+        maxPerDstHost: parseInt(flags['max-per-dst-host'], 10) || null,
+        hostLimits,
         docker: flags.docker,
+        engine: flags.engine,
         logDir: flags['log-dir'],
         dryRun: flags['dry-run'],
         debug: flags.debug,
         all: flags.all,
         skipSelection: flags['skip-selection'],
+        resume: flags.resume,
+        autoMap: flags['auto-map'],
+        since: flags.since,
+        before: flags.before,
+        delta: flags.delta,
+        preflight: flags.preflight,
+        retries: parseInt(flags.retries, 10) || 0,
+        retryDelay: SyncRetryPolicy.parseDelay(flags['retry-delay']),
+        window: flags.window,
+        timezone: flags.timezone,
+        windowPause: flags['window-pause'],
+        force: flags.force,
+        commonOpts: flags['common-opts'],
+        allowDangerous: flags['allow-dangerous'],
+        srcProvider: flags['src-provider'],
+        dstProvider: flags['dst-provider'],
       }
 
       const summary = await imapService.sync(options)
@@ -180,6 +288,10 @@ export default class Sync extends Command {
       if (summary.failed > 0 && !summary.dryRun) {
         process.exit(1)
       }
+      // Stopped by Ctrl-C / SIGTERM before every row ran
+      if (summary.interrupted > 0 || summary.notStarted > 0) {
+        process.exit(130)
+      }
     } catch (error) {
       this.error(error.message)
     }
@@ -0,0 +1,84 @@
+import { Command, Flags } from '@oclif/core'
+import chalk from 'chalk'
+import fs from 'fs-extra'
+import { PreflightService } from '../../services/imap/preflight.service.js'
+import { SyncRow } from '../../services/imap/row.service.js'
+import { ImapService } from '../../services/imap/sync.service.js'
+
+export default class SyncCheck extends Command {
+  static description = 'Check IMAP logins on both sides of every sync CSV row before migrating'
+
+  static examples = [
+    '<%= config.bin %> <%= command.id %> --csv input/my-migration.csv',
+    '<%= config.bin %> <%= command.id %> --csv input/my-migration.csv --parallel 10',
+    '<%= config.bin %> <%= command.id %> --csv input/my-migration.csv --output input/my-migration-ok.csv',
+  ]
+
+  static flags = {
+    csv: Flags.string({
+      char: 'c',
+      description: 'CSV file containing sync configurations',
+      required: true,
+    }),
+    'src-provider': Flags.string({
+      description: 'Provider preset for rows without a src_provider, e.g. gmail, office365, cpanel',
+    }),
+    'dst-provider': Flags.string({
+      description: 'Provider preset for rows without a dst_provider, e.g. gmail, office365, cpanel',
+    }),
+    parallel: Flags.string({
+      char: 'j',
+      description: 'Number of rows checked in parallel',
+      default: '4',
+    }),
+    timeout: Flags.string({
+      description: 'Connection timeout in seconds',
+      default: '20',
+    }),
+    'token-endpoint': Flags.string({
+      description: 'OAuth2 token endpoint for src_oauth/dst_oauth token files that do not name one',
+    }),
+    output: Flags.string({
+      char: 'o',
+      description: 'Write a cleaned CSV containing only the rows that passed',
+    }),
+  }
+
+  async run() {
+    const {flags} = await this.parse(SyncCheck)
+
+    try {
+      if (!await fs.pathExists(flags.csv)) {
+        this.error(`CSV file not found: ${flags.csv}`)
+      }
+
+      const imapService = new ImapService({ tokenEndpoint: flags['token-endpoint'] })
+      const configs = (await imapService.parseCsvFile(flags.csv, { srcProvider: flags['src-provider'], dstProvider: flags['dst-provider'] }))
+        .filter(config => !SyncRow.isSkippedRow(config))
+
+      if (configs.length === 0) {
+        this.error('No configurations found in CSV file')
+      }
+
+      this.log(chalk.green('=== IMAP Pre-flight Check ==='))
+      this.log(chalk.blue(`Checking ${configs.length} row(s) from: ${flags.csv}\n`))
+
+      await imapService.unlockSecrets(configs)
+
+      const preflightService = new PreflightService(imapService, { timeout: flags.timeout })
+      const results = await preflightService.checkAll(configs, { jobs: flags.parallel })
+      preflightService.printFailures(results)
+
+      if (flags.output) {
+        const written = await preflightService.writePassingCsv(results, flags.output)
+        this.log(chalk.blue(`\nWrote ${written} passing row(s) to: ${flags.output}`))
+      }
+
+      if (results.some(result => !result.ok)) {
+        process.exit(1)
+      }
+    } catch (error) {
+      this.error(error.message)
+    }
+  }
+}
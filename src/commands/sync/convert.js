@@ -0,0 +1,63 @@
+import { Command, Flags } from '@oclif/core'
+import chalk from 'chalk'
+import fs from 'fs-extra'
+import { SyncJobFile } from '../../services/imap/job.service.js'
+import { SyncRow } from '../../services/imap/row.service.js'
+import { ImapService } from '../../services/imap/sync.service.js'
+
+export default class SyncConvert extends Command {
+  static description = 'Convert a sync CSV into a YAML or JSON job file'
+
+  static examples = [
+    '<%= config.bin %> <%= command.id %> --csv input/my-migration.csv --output input/my-migration.yaml',
+    '<%= config.bin %> <%= command.id %> --csv input/my-migration.csv --output input/my-migration.json',
+  ]
+
+  static flags = {
+    csv: Flags.string({
+      char: 'c',
+      description: 'CSV file containing sync configurations',
+      required: true,
+    }),
+    output: Flags.string({
+      char: 'o',
+      description: 'Job file to write (.yaml, .yml or .json)',
+      required: true,
+    }),
+    force: Flags.boolean({
+      char: 'f',
+      description: 'Overwrite the output file if it exists',
+    }),
+  }
+
+  async run() {
+    const {flags} = await this.parse(SyncConvert)
+
+    try {
+      if (!await fs.pathExists(flags.csv)) {
+        this.error(`CSV file not found: ${flags.csv}`)
+      }
+      if (!SyncJobFile.isJobFile(flags.output)) {
+        this.error(`Output must end in ${SyncJobFile.EXTENSIONS.join(', ')}: ${flags.output}`)
+      }
+      if (await fs.pathExists(flags.output) && !flags.force) {
+        this.error(`Output file already exists: ${flags.output} (use --force to overwrite)`)
+      }
+
+      const imapService = new ImapService()
+      // Keep provider columns as written instead of the values they fill in
+      const configs = await imapService.parseCsvFile(flags.csv, { presets: false })
+      const rows = configs.filter(config => !SyncRow.isSkippedRow(config))
+
+      const job = SyncJobFile.fromConfigs(rows)
+      await SyncJobFile.write(job, flags.output)
+
+      this.log(chalk.green(`✅ Wrote ${rows.length} account(s) to: ${flags.output}`))
+      if (rows.length < configs.length) {
+        this.log(chalk.yellow(`Left out ${configs.length - rows.length} empty or commented row(s)`))
+      }
+    } catch (error) {
+      this.error(error.message)
+    }
+  }
+}
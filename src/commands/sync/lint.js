@@ -0,0 +1,81 @@
+import { Command, Flags } from '@oclif/core'
+import chalk from 'chalk'
+import fs from 'fs-extra'
+import { SyncLintService } from '../../services/imap/lint.service.js'
+import { ImapDiscoveryService } from '../../services/imap/discovery.service.js'
+import { SyncRow } from '../../services/imap/row.service.js'
+import { ImapService } from '../../services/imap/sync.service.js'
+
+export default class SyncLint extends Command {
+  static description = 'Validate a sync CSV and report errors and warnings by line and column'
+
+  static examples = [
+    '<%= config.bin %> <%= command.id %> --csv input/my-migration.csv',
+    '<%= config.bin %> <%= command.id %> --csv input/my-migration.csv --strict',
+    '<%= config.bin %> <%= command.id %> --csv input/addresses.csv --discover --write-back',
+  ]
+
+  static flags = {
+    csv: Flags.string({
+      char: 'c',
+      description: 'CSV file containing sync configurations',
+      required: true,
+    }),
+    'src-provider': Flags.string({
+      description: 'Provider preset for rows without a src_provider, e.g. gmail, office365, cpanel',
+    }),
+    'dst-provider': Flags.string({
+      description: 'Provider preset for rows without a dst_provider, e.g. gmail, office365, cpanel',
+    }),
+    discover: Flags.boolean({
+      description: 'Look up the server of rows without src_host/dst_host from the email domain (SRV, autoconfig, MX)',
+    }),
+    'write-back': Flags.boolean({
+      description: 'Write discovered settings into the empty cells of the CSV (keeps a .bak copy)',
+      dependsOn: ['discover'],
+    }),
+    'dns-server': Flags.string({
+      description: 'DNS servers for --discover, comma-separated host[:port] (default: system resolvers)',
+    }),
+    'autoconfig-url': Flags.string({
+      description: 'Autoconfig URL template with {domain} and {email} for --discover, instead of the standard locations',
+      multiple: true,
+    }),
+    strict: Flags.boolean({
+      description: 'Exit with an error on warnings too',
+    }),
+  }
+
+  async run() {
+    const {flags} = await this.parse(SyncLint)
+
+    try {
+      if (!await fs.pathExists(flags.csv)) {
+        this.error(`CSV file not found: ${flags.csv}`)
+      }
+
+      const imapService = new ImapService()
+      const configs = await imapService.parseCsvFile(flags.csv, { srcProvider: flags['src-provider'], dstProvider: flags['dst-provider'] })
+
+      this.log(chalk.green('=== Sync CSV Validation ==='))
+      if (flags.discover) {
+        const discovery = new ImapDiscoveryService({
+          dnsServers: flags['dns-server']?.split(',').map(server => server.trim()).filter(Boolean),
+          autoconfigUrls: flags['autoconfig-url'],
+        })
+        await discovery.run(configs, flags.csv, { writeBack: flags['write-back'] })
+      }
+      this.log(chalk.blue(`Checking ${configs.filter(config => !SyncRow.isSkippedRow(config)).length} row(s) from: ${flags.csv}\n`))
+
+      const lint = new SyncLintService()
+      await lint.lint(configs)
+      lint.printIssues(flags.csv)
+
+      if (lint.errors.length > 0 || (flags.strict && lint.warnings.length > 0)) {
+        process.exit(1)
+      }
+    } catch (error) {
+      this.error(error.message)
+    }
+  }
+}
@@ -0,0 +1,146 @@
+import { Command, Flags } from '@oclif/core'
+import chalk from 'chalk'
+import fs from 'fs-extra'
+import path from 'path'
+import { ImapDiscoveryService } from '../../services/imap/discovery.service.js'
+import { SyncPlanService } from '../../services/imap/plan.service.js'
+import { SyncRow } from '../../services/imap/row.service.js'
+import { HostScheduler } from '../../services/imap/scheduler.service.js'
+import { ImapService } from '../../services/imap/sync.service.js'
+
+export default class SyncPlan extends Command {
+  static description = 'Estimate migration size and duration from the source accounts of a sync CSV'
+
+  static examples = [
+    '<%= config.bin %> <%= command.id %> --csv input/my-migration.csv',
+    '<%= config.bin %> <%= command.id %> --csv input/my-migration.csv --parallel 8 --max-per-src-host 2',
+    '<%= config.bin %> <%= command.id %> --csv input/my-migration.csv --format json --output results/plan.json',
+    '<%= config.bin %> <%= command.id %> --csv input/my-migration.csv --throughput 2.5',
+    '<%= config.bin %> <%= command.id %> --csv input/addresses.csv --discover --write-back',
+  ]
+
+  static flags = {
+    csv: Flags.string({
+      char: 'c',
+      description: 'CSV file containing sync configurations',
+      required: true,
+    }),
+    'src-provider': Flags.string({
+      description: 'Provider preset for rows without a src_provider, e.g. gmail, office365, cpanel',
+    }),
+    'dst-provider': Flags.string({
+      description: 'Provider preset for rows without a dst_provider, e.g. gmail, office365, cpanel',
+    }),
+    discover: Flags.boolean({
+      description: 'Look up the server of rows without src_host/dst_host from the email domain (SRV, autoconfig, MX)',
+    }),
+    'write-back': Flags.boolean({
+      description: 'Write discovered settings into the empty cells of the CSV (keeps a .bak copy)',
+      dependsOn: ['discover'],
+    }),
+    'dns-server': Flags.string({
+      description: 'DNS servers for --discover, comma-separated host[:port] (default: system resolvers)',
+    }),
+    'autoconfig-url': Flags.string({
+      description: 'Autoconfig URL template with {domain} and {email} for --discover, instead of the standard locations',
+      multiple: true,
+    }),
+    parallel: Flags.string({
+      char: 'j',
+      description: 'Number of parallel jobs the migration will run with',
+      default: '1',
+    }),
+    'max-per-src-host': Flags.string({
+      description: 'Maximum parallel jobs against the same source host',
+    }),
+    'max-per-dst-host': Flags.string({
+      description: 'Maximum parallel jobs against the same destination host',
+    }),
+    'host-limits': Flags.string({
+      description: 'JSON file with per-host job limits, e.g. {"mail.old.com": 2}',
+    }),
+    throughput: Flags.string({
+      description: 'Throughput of one job in MiB/s (default: from previous batch logs)',
+    }),
+    'log-dir': Flags.string({
+      description: 'Log directory with previous batches to take the throughput from',
+      default: './results/sync-log',
+    }),
+    format: Flags.string({
+      description: 'Output format',
+      options: ['csv', 'json'],
+      default: 'csv',
+    }),
+    output: Flags.string({
+      char: 'o',
+      description: 'Output file (default: results/sync-plan-<timestamp>.<format>)',
+    }),
+    connections: Flags.string({
+      description: 'Number of source accounts measured at once',
+      default: '4',
+    }),
+    timeout: Flags.string({
+      description: 'Connection timeout in seconds',
+      default: '20',
+    }),
+    'token-endpoint': Flags.string({
+      description: 'OAuth2 token endpoint for src_oauth/dst_oauth token files that do not name one',
+    }),
+  }
+
+  async run() {
+    const {flags} = await this.parse(SyncPlan)
+
+    try {
+      if (!await fs.pathExists(flags.csv)) {
+        this.error(`CSV file not found: ${flags.csv}`)
+      }
+
+      const hostLimits = flags['host-limits']
+        ? await HostScheduler.loadHostLimits(flags['host-limits'])
+        : null
+
+      const imapService = new ImapService({ tokenEndpoint: flags['token-endpoint'] })
+      const planService = new SyncPlanService(imapService, {
+        timeout: flags.timeout,
+        throughput: flags.throughput,
+        jobs: parseInt(flags.parallel, 10) || 1,
+        maxPerSrcHost: parseInt(flags['max-per-src-host'], 10) || null,
+        maxPerDstHost: parseInt(flags['max-per-dst-host'], 10) || null,
+        hostLimits,
+      })
+
+      const rows = await imapService.parseCsvFile(flags.csv, { srcProvider: flags['src-provider'], dstProvider: flags['dst-provider'] })
+
+      this.log(chalk.green('=== IMAP Migration Plan ==='))
+      if (flags.discover) {
+        const discovery = new ImapDiscoveryService({
+          dnsServers: flags['dns-server']?.split(',').map(server => server.trim()).filter(Boolean),
+          autoconfigUrls: flags['autoconfig-url'],
+          timeout: flags.timeout,
+        })
+        await discovery.run(rows, flags.csv, { writeBack: flags['write-back'] })
+      }
+
+      const configs = rows.filter(config => !SyncRow.isSkippedRow(config))
+      if (configs.length === 0) {
+        this.error('No configurations found in CSV file')
+      }
+
+      this.log(chalk.blue(`Measuring ${configs.length} source account(s) from: ${flags.csv}\n`))
+
+      await imapService.unlockSecrets(configs)
+
+      const history = await SyncPlanService.loadThroughput(flags['log-dir'])
+      const results = await planService.measureAll(configs, { jobs: flags.connections })
+      const plan = planService.buildPlan(results, history)
+      planService.printPlan(plan)
+
+      const output = flags.output || path.join('results', `sync-plan-${Math.floor(Date.now() / 1000)}.${flags.format}`)
+      await planService.writePlan(plan, output, flags.format)
+      this.log(chalk.blue(`\nPlan written to: ${output}`))
+    } catch (error) {
+      this.error(error.message)
+    }
+  }
+}
@@ -0,0 +1,55 @@
+import { Args, Command, Flags } from '@oclif/core'
+import chalk from 'chalk'
+import fs from 'fs-extra'
+import path from 'path'
+import { SyncJournal } from '../../services/imap/journal.service.js'
+import { SyncLogService } from '../../services/imap/logs.service.js'
+import { SyncReportService } from '../../services/imap/report.service.js'
+
+export default class SyncReport extends Command {
+  static description = 'Write a self-contained HTML report of a sync batch'
+
+  static examples = [
+    '<%= config.bin %> <%= command.id %> 1735660800',
+    '<%= config.bin %> <%= command.id %> latest --output client-report.html',
+    '<%= config.bin %> <%= command.id %> results/sync-log/1735660800',
+  ]
+
+  static args = {
+    batch: Args.string({
+      description: 'Batch to report on: unix timestamp directory, path, or "latest"',
+      required: true,
+    }),
+  }
+
+  static flags = {
+    'log-dir': Flags.string({
+      description: 'Directory containing the batch directories',
+      default: SyncLogService.DEFAULT_LOG_DIR,
+    }),
+    output: Flags.string({
+      char: 'o',
+      description: 'HTML file to write (default: report.html in the batch directory)',
+    }),
+  }
+
+  async run() {
+    const {args, flags} = await this.parse(SyncReport)
+
+    try {
+      const batchDir = await new SyncLogService(flags['log-dir']).resolveBatch(args.batch)
+      if (!await fs.pathExists(path.join(batchDir, SyncJournal.FILE_NAME))) {
+        this.error(`No sync journal found in: ${batchDir}`)
+      }
+
+      const reportService = new SyncReportService()
+      const { file, report } = await reportService.write(batchDir, flags.output)
+
+      const counts = Object.entries(report.counts).map(([status, count]) => `${count} ${status}`).join(', ')
+      this.log(chalk.green(`✅ Report of batch ${report.batch} (${report.accounts.length} account(s): ${counts})`))
+      this.log(chalk.blue(`Written to: ${file}`))
+    } catch (error) {
+      this.error(error.message)
+    }
+  }
+}
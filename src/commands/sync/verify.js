@@ -0,0 +1,105 @@
+import { Command, Flags } from '@oclif/core'
+import chalk from 'chalk'
+import fs from 'fs-extra'
+import path from 'path'
+import { SyncJournal } from '../../services/imap/journal.service.js'
+import { SyncRow } from '../../services/imap/row.service.js'
+import { ImapService } from '../../services/imap/sync.service.js'
+import { SyncVerifyService } from '../../services/imap/verify.service.js'
+
+export default class SyncVerify extends Command {
+  static description = 'Compare folders on both sides of every sync CSV row after migrating'
+
+  static examples = [
+    '<%= config.bin %> <%= command.id %> --csv input/my-migration.csv',
+    '<%= config.bin %> <%= command.id %> --csv input/my-migration.csv --sample 20',
+    '<%= config.bin %> <%= command.id %> --csv input/my-migration.csv --batch 1735689600',
+  ]
+
+  static flags = {
+    csv: Flags.string({
+      char: 'c',
+      description: 'CSV file containing sync configurations',
+      required: true,
+    }),
+    'src-provider': Flags.string({
+      description: 'Provider preset for rows without a src_provider, e.g. gmail, office365, cpanel',
+    }),
+    'dst-provider': Flags.string({
+      description: 'Provider preset for rows without a dst_provider, e.g. gmail, office365, cpanel',
+    }),
+    parallel: Flags.string({
+      char: 'j',
+      description: 'Number of rows verified in parallel',
+      default: '4',
+    }),
+    sample: Flags.string({
+      description: 'Also check that N random source Message-IDs per folder exist on the destination',
+      default: '0',
+    }),
+    'auto-map': Flags.boolean({
+      description: 'Map SPECIAL-USE folders the same way as sync --auto-map',
+    }),
+    timeout: Flags.string({
+      description: 'Connection timeout in seconds',
+      default: '20',
+    }),
+    'log-dir': Flags.string({
+      description: 'Log directory',
+      default: './results/sync-log',
+    }),
+    batch: Flags.string({
+      description: 'Write the report into this batch directory (unix timestamp or path) instead of a new one',
+    }),
+    'token-endpoint': Flags.string({
+      description: 'OAuth2 token endpoint for src_oauth/dst_oauth token files that do not name one',
+    }),
+  }
+
+  async run() {
+    const {flags} = await this.parse(SyncVerify)
+
+    try {
+      if (!await fs.pathExists(flags.csv)) {
+        this.error(`CSV file not found: ${flags.csv}`)
+      }
+
+      const batchDir = flags.batch
+        ? SyncJournal.resolveBatchDir(flags.batch, flags['log-dir'])
+        : path.join(flags['log-dir'], Math.floor(Date.now() / 1000).toString())
+      if (flags.batch && !await fs.pathExists(batchDir)) {
+        this.error(`Batch directory not found: ${batchDir}`)
+      }
+
+      const imapService = new ImapService({ tokenEndpoint: flags['token-endpoint'] })
+      const configs = (await imapService.parseCsvFile(flags.csv, { srcProvider: flags['src-provider'], dstProvider: flags['dst-provider'] }))
+        .filter(config => !SyncRow.isSkippedRow(config))
+
+      if (configs.length === 0) {
+        this.error('No configurations found in CSV file')
+      }
+
+      await imapService.unlockSecrets(configs)
+
+      this.log(chalk.green('=== IMAP Migration Verification ==='))
+      this.log(chalk.blue(`Verifying ${configs.length} row(s) from: ${flags.csv}\n`))
+
+      const verifyService = new SyncVerifyService(imapService, {
+        timeout: flags.timeout,
+        sample: flags.sample,
+        autoMap: flags['auto-map'],
+      })
+      const results = await verifyService.verifyAll(configs, { jobs: flags.parallel })
+      verifyService.printMismatches(results)
+
+      const report = await verifyService.writeReport(batchDir, results)
+      this.log(chalk.blue(`\nReport: ${report.jsonFile}, ${report.csvFile}`))
+      if (report.failedCsv) {
+        this.log(chalk.yellow(`Rows to re-sync: ${report.failedCsv} (rerun with: emoo sync --csv ${report.failedCsv} --all)`))
+        process.exit(1)
+      }
+    } catch (error) {
+      this.error(error.message)
+    }
+  }
+}
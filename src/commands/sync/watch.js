@@ -0,0 +1,164 @@
+import { Command, Flags } from '@oclif/core'
+import chalk from 'chalk'
+import fs from 'fs-extra'
+import { SyncRetryPolicy } from '../../services/imap/retry.service.js'
+import { HostScheduler } from '../../services/imap/scheduler.service.js'
+import { SyncWatcher } from '../../services/imap/watch.service.js'
+
+export default class SyncWatch extends Command {
+  static description = 'Sync every CSV row again and again (delta mode) until cutover'
+
+  static examples = [
+    '<%= config.bin %> <%= command.id %> --csv input/my-migration.csv --interval 15m',
+    '<%= config.bin %> <%= command.id %> --csv input/my-migration.csv --interval 30m --until 18:00',
+    '<%= config.bin %> <%= command.id %> --csv input/my-migration.csv --stop-file /tmp/cutover',
+    '<%= config.bin %> <%= command.id %> --csv input/my-migration.csv --engine native --parallel 4',
+  ]
+
+  static flags = {
+    csv: Flags.string({
+      char: 'c',
+      description: 'CSV file containing sync configurations (read again every cycle)',
+      required: true,
+    }),
+    'src-provider': Flags.string({
+      description: 'Provider preset for rows without a src_provider, e.g. gmail, office365, cpanel',
+    }),
+    'dst-provider': Flags.string({
+      description: 'Provider preset for rows without a dst_provider, e.g. gmail, office365, cpanel',
+    }),
+    interval: Flags.string({
+      char: 'i',
+      description: 'Time between cycle starts, e.g. 15m, 1h',
+      default: '15m',
+    }),
+    until: Flags.string({
+      description: 'Start no new cycles after this time (HH:MM or a date-time like 2024-01-31T18:00)',
+    }),
+    'stop-file': Flags.string({
+      description: 'Run a final pass over every row and exit once this file appears (it is removed)',
+    }),
+    delta: Flags.boolean({
+      description: 'Only sync messages newer than each row\'s last successful sync',
+      default: true,
+      allowNo: true,
+    }),
+    parallel: Flags.string({
+      char: 'j',
+      description: 'Number of parallel jobs per cycle',
+      default: '1',
+    }),
+    'max-per-src-host': Flags.string({
+      description: 'Maximum parallel jobs against the same source host',
+    }),
+    'max-per-dst-host': Flags.string({
+      description: 'Maximum parallel jobs against the same destination host',
+    }),
+    'host-limits': Flags.string({
+      description: 'JSON file with per-host job limits, e.g. {"mail.old.com": 2}',
+    }),
+    docker: Flags.boolean({
+      description: 'Use Docker for imapsync',
+    }),
+    engine: Flags.string({
+      description: 'Sync engine: spawn imapsync or copy with the built-in IMAP client',
+      options: ['imapsync', 'native'],
+      default: 'imapsync',
+    }),
+    'log-dir': Flags.string({
+      description: 'Log directory',
+      default: './results/sync-log',
+    }),
+    'dry-run': Flags.boolean({
+      description: 'Show what would be synced without actually syncing',
+    }),
+    debug: Flags.boolean({
+      description: 'Show detailed imapsync output and commands',
+    }),
+    'auto-map': Flags.boolean({
+      description: 'Map SPECIAL-USE folders (Sent, Drafts, Junk, Trash) between both sides automatically',
+    }),
+    retries: Flags.string({
+      description: 'Retry rows that fail with a transient error up to N times',
+      default: '0',
+    }),
+    'retry-delay': Flags.string({
+      description: 'Initial delay in seconds before a retry, doubled on every attempt',
+      default: '30',
+    }),
+    preflight: Flags.boolean({
+      description: 'Check logins on both sides of every row first and skip rows that fail',
+    }),
+    force: Flags.boolean({
+      description: 'Sync even if the CSV has validation errors',
+    }),
+    'common-opts': Flags.string({
+      description: 'Extra imapsync options for every row, quoted like a shell (default: sync.commonOpts in ~/.emoo/config.json, then COMMON_OPTS)',
+    }),
+    'allow-dangerous': Flags.boolean({
+      description: 'Allow imapsync options that delete mail or folders (--delete1, --delete2, --expunge1, ...) without asking',
+    }),
+    'token-endpoint': Flags.string({
+      description: 'OAuth2 token endpoint for src_oauth/dst_oauth token files that do not name one',
+    }),
+  }
+
+  async run() {
+    const {flags} = await this.parse(SyncWatch)
+
+    try {
+      if (!await fs.pathExists(flags.csv)) {
+        this.error(`CSV file not found: ${flags.csv}`)
+      }
+
+      const hostLimits = flags['host-limits']
+        ? await HostScheduler.loadHostLimits(flags['host-limits'])
+        : null
+
+      const watcher = new SyncWatcher({
+        interval: flags.interval,
+        until: flags.until,
+        stopFile: flags['stop-file'],
+        serviceOptions: { tokenEndpoint: flags['token-endpoint'] },
+        syncOptions: {
+          csv: flags.csv,
+          jobs: parseInt(flags.parallel, 10) || 1,
+          maxPerSrcHost: parseInt(flags['max-per-src-host'], 10) || null,
+          maxPerDstHost: parseInt(flags['max-per-dst-host'], 10) || null,
+          hostLimits,
+          docker: flags.docker,
+          engine: flags.engine,
+          logDir: flags['log-dir'],
+          dryRun: flags['dry-run'],
+          debug: flags.debug,
+          autoMap: flags['auto-map'],
+          delta: flags.delta,
+          preflight: flags.preflight,
+          retries: parseInt(flags.retries, 10) || 0,
+          retryDelay: SyncRetryPolicy.parseDelay(flags['retry-delay']),
+          force: flags.force,
+          commonOpts: flags['common-opts'],
+          allowDangerous: flags['allow-dangerous'],
+          srcProvider: flags['src-provider'],
+          dstProvider: flags['dst-provider'],
+          // Nobody is there to answer a prompt between cycles
+          interactive: false,
+          // Cycles may overlap, so every batch prints plain lines instead of redrawing
+          renderer: 'simple',
+        },
+      })
+
+      this.log(chalk.green('=== IMAP Sync Watch ==='))
+      const result = await watcher.run()
+
+      if (result.stopped) {
+        process.exit(130)
+      }
+      if (result.finalPass && result.finalPass.failed > 0 && !result.finalPass.dryRun) {
+        process.exit(1)
+      }
+    } catch (error) {
+      this.error(error.message)
+    }
+  }
+}
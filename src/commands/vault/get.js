@@ -0,0 +1,46 @@
+import { Args, Command, Flags } from '@oclif/core'
+import { VaultService } from '../../services/shared/vault.service.js'
+
+export default class VaultGet extends Command {
+  static description = 'Print a vault entry'
+
+  static examples = [
+    '<%= config.bin %> <%= command.id %> mail/user1@example.com',
+    '<%= config.bin %> <%= command.id %> main-cpanel --field apiKey',
+  ]
+
+  static args = {
+    name: Args.string({
+      description: 'Entry name',
+      required: true,
+    }),
+  }
+
+  static flags = {
+    field: Flags.string({
+      description: 'Print only one field of panel credentials (server, username, apiKey)',
+    }),
+  }
+
+  async run() {
+    const {args, flags} = await this.parse(VaultGet)
+
+    try {
+      const vault = await VaultService.open()
+      const value = vault.get(args.name)
+
+      if (typeof value === 'string') {
+        this.log(value)
+      } else if (flags.field) {
+        if (value[flags.field] === undefined) {
+          this.error(`Vault entry ${args.name} has no field ${flags.field}`)
+        }
+        this.log(value[flags.field])
+      } else {
+        this.log(JSON.stringify(value, null, 2))
+      }
+    } catch (error) {
+      this.error(error.message)
+    }
+  }
+}
@@ -0,0 +1,31 @@
+import { Command } from '@oclif/core'
+import chalk from 'chalk'
+import { VaultService } from '../../services/shared/vault.service.js'
+
+export default class VaultInit extends Command {
+  static description = 'Create the encrypted credential vault'
+
+  static examples = [
+    '<%= config.bin %> <%= command.id %>',
+    'EMOO_VAULT_FILE=./migration-vault.json <%= config.bin %> <%= command.id %>',
+  ]
+
+  async run() {
+    await this.parse(VaultInit)
+
+    try {
+      const vault = new VaultService()
+      if (await vault.exists()) {
+        this.error(`Vault already exists: ${vault.file}`)
+      }
+
+      const passphrase = await VaultService.getPassphrase({ message: 'New vault passphrase:', confirm: true })
+      await vault.create(passphrase)
+
+      this.log(chalk.green(`✅ Created vault: ${vault.file}`))
+      this.log(chalk.blue('Keep the passphrase safe, it cannot be recovered. Set EMOO_VAULT_PASSPHRASE to skip the prompt in scripts.'))
+    } catch (error) {
+      this.error(error.message)
+    }
+  }
+}
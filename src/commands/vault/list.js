@@ -0,0 +1,34 @@
+import { Command } from '@oclif/core'
+import chalk from 'chalk'
+import { VaultService } from '../../services/shared/vault.service.js'
+
+export default class VaultList extends Command {
+  static description = 'List vault entries (names only, no values)'
+
+  static examples = [
+    '<%= config.bin %> <%= command.id %>',
+  ]
+
+  async run() {
+    await this.parse(VaultList)
+
+    try {
+      const vault = await VaultService.open()
+      const entries = vault.list()
+
+      if (entries.length === 0) {
+        this.log(chalk.yellow(`Vault is empty: ${vault.file}`))
+        return
+      }
+
+      const nameWidth = Math.max(4, ...entries.map(entry => entry.name.length))
+      const typeWidth = Math.max(4, ...entries.map(entry => entry.type.length))
+      this.log(chalk.bold(`${'Name'.padEnd(nameWidth)}  ${'Type'.padEnd(typeWidth)}  Updated`))
+      entries.forEach(entry => {
+        this.log(`${entry.name.padEnd(nameWidth)}  ${entry.type.padEnd(typeWidth)}  ${entry.updatedAt}`)
+      })
+    } catch (error) {
+      this.error(error.message)
+    }
+  }
+}
@@ -0,0 +1,49 @@
+import { Args, Command, Flags } from '@oclif/core'
+import chalk from 'chalk'
+import { UtilService } from '../../services/shared/util.service.js'
+import { VaultService } from '../../services/shared/vault.service.js'
+
+export default class VaultRm extends Command {
+  static description = 'Remove an entry from the vault'
+
+  static examples = [
+    '<%= config.bin %> <%= command.id %> mail/user1@example.com',
+    '<%= config.bin %> <%= command.id %> old-cpanel --force',
+  ]
+
+  static args = {
+    name: Args.string({
+      description: 'Entry name',
+      required: true,
+    }),
+  }
+
+  static flags = {
+    force: Flags.boolean({
+      char: 'f',
+      description: 'Remove without asking',
+    }),
+  }
+
+  async run() {
+    const {args, flags} = await this.parse(VaultRm)
+
+    try {
+      const vault = await VaultService.open()
+      if (!vault.has(args.name)) {
+        this.error(`Vault entry not found: ${args.name}`)
+      }
+
+      if (!flags.force && !await UtilService.confirmAction(`Remove ${args.name} from the vault?`, false)) {
+        this.log('Cancelled.')
+        return
+      }
+
+      vault.remove(args.name)
+      await vault.save()
+      this.log(chalk.green(`✅ Removed: ${args.name}`))
+    } catch (error) {
+      this.error(error.message)
+    }
+  }
+}
@@ -0,0 +1,141 @@
+import { Args, Command, Flags } from '@oclif/core'
+import chalk from 'chalk'
+import inquirer from 'inquirer'
+import { UtilService } from '../../services/shared/util.service.js'
+import { VaultService } from '../../services/shared/vault.service.js'
+
+export default class VaultSet extends Command {
+  static description = 'Store a mailbox password or panel credentials in the vault'
+
+  static examples = [
+    '<%= config.bin %> <%= command.id %> mail/user1@example.com',
+    'pass show mail/user1 | EMOO_VAULT_PASSPHRASE="$(pass show emoo-vault)" <%= config.bin %> <%= command.id %> mail/user1@example.com',
+    '<%= config.bin %> <%= command.id %> main-cpanel --type cpanel --server cpanel.example.com --username admin',
+    '<%= config.bin %> <%= command.id %> main-aapanel --type aapanel --server https://panel.example.com:27208',
+  ]
+
+  static args = {
+    name: Args.string({
+      description: 'Entry name, e.g. mail/user1@example.com or main-cpanel',
+      required: true,
+    }),
+  }
+
+  static flags = {
+    type: Flags.string({
+      char: 't',
+      description: 'Entry type',
+      options: ['password', 'cpanel', 'aapanel'],
+      default: 'password',
+    }),
+    server: Flags.string({
+      char: 's',
+      description: 'Panel server (cpanel/aapanel entries)',
+    }),
+    username: Flags.string({
+      char: 'u',
+      description: 'cPanel username (cpanel entries)',
+    }),
+    force: Flags.boolean({
+      char: 'f',
+      description: 'Overwrite an existing entry without asking',
+    }),
+  }
+
+  // Read a password piped on stdin (first line); the vault passphrase then comes from EMOO_VAULT_PASSPHRASE
+  async readStdin() {
+    let input = ''
+    for await (const chunk of process.stdin) {
+      input += chunk
+    }
+    return input.split(/\r?\n/)[0]
+  }
+
+  async getPassword() {
+    if (!process.stdin.isTTY) {
+      return this.readStdin()
+    }
+
+    const { password } = await inquirer.prompt([
+      {
+        type: 'password',
+        name: 'password',
+        message: 'Password:',
+        mask: '*',
+        validate: input => input.length > 0 ? true : 'Password cannot be empty'
+      },
+      {
+        type: 'password',
+        name: 'confirmation',
+        message: 'Repeat password:',
+        mask: '*',
+        validate: (input, answers) => input === answers.password ? true : 'Passwords do not match'
+      }
+    ])
+    return password
+  }
+
+  async getAapanelCredentials(server) {
+    const answers = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'server',
+        message: 'Enter aaPanel server URL (with protocol and port):',
+        default: 'https://your-server.com:27208',
+        when: !server,
+        validate: input => input.trim() ? true : 'Server URL cannot be empty'
+      },
+      {
+        type: 'password',
+        name: 'apiKey',
+        message: 'Enter aaPanel API Secret Key:',
+        mask: '*',
+        validate: input => input.trim() ? true : 'API Secret Key cannot be empty'
+      }
+    ])
+    return { server: server || answers.server, apiKey: answers.apiKey }
+  }
+
+  async run() {
+    const {args, flags} = await this.parse(VaultSet)
+
+    try {
+      const vault = await VaultService.open()
+
+      if (vault.has(args.name) && !flags.force) {
+        if (!process.stdin.isTTY) {
+          this.error(`Vault entry already exists: ${args.name} (use --force to overwrite)`)
+        }
+        if (!await UtilService.confirmAction(`Overwrite existing entry ${args.name}?`, false)) {
+          this.log('Cancelled.')
+          return
+        }
+      }
+
+      let value
+      if (flags.type === 'cpanel') {
+        const credentials = await UtilService.getInteractiveInput({ server: flags.server, username: flags.username })
+        value = { type: 'cpanel', ...credentials }
+      } else if (flags.type === 'aapanel') {
+        value = { type: 'aapanel', ...await this.getAapanelCredentials(flags.server) }
+      } else {
+        value = await this.getPassword()
+        if (!value) {
+          this.error('Password cannot be empty')
+        }
+      }
+
+      vault.set(args.name, value)
+      await vault.save()
+
+      this.log(chalk.green(`✅ Stored ${flags.type} entry: ${args.name}`))
+      if (flags.type === 'password') {
+        this.log(chalk.blue(`Use it in a sync CSV as: vault:${args.name}`))
+      } else {
+        this.log(chalk.blue(`Use it with: --vault ${args.name}`))
+      }
+    } catch (error) {
+      this.error(error.message)
+    }
+  }
+}
@@ -0,0 +1,114 @@
+import { SyncJournal } from './journal.service.js';
+
+/**
+ * Date window (--since/--before, --delta, max_age/min_age columns) for a sync row
+ */
+export class SyncAgeFilter {
+  static DAY_MS = 24 * 60 * 60 * 1000;
+
+  /**
+   * Overlap subtracted from the previous run's start time in --delta mode, so messages
+   * delivered while that run was in progress are picked up (duplicates are skipped anyway)
+   */
+  static DELTA_OVERLAP_MS = SyncAgeFilter.DAY_MS;
+
+  static DURATION_UNITS = {
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000,
+    y: 365 * 24 * 60 * 60 * 1000
+  };
+
+  /**
+   * Parse an absolute date ("2024-01-31") or a duration ago ("30d", "12h", "2w")
+   */
+  static parseDateOrDuration(value, now = new Date()) {
+    const duration = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([mhdwy])$/i);
+    if (duration) {
+      const unit = SyncAgeFilter.DURATION_UNITS[duration[2].toLowerCase()];
+      return new Date(now.getTime() - parseFloat(duration[1]) * unit);
+    }
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`Invalid date or duration: "${value}" (use e.g. 2024-01-31 or 30d)`);
+    }
+    return date;
+  }
+
+  /**
+   * Parse a max_age/min_age cell (days)
+   */
+  static parseDays(value, column) {
+    if (value === undefined || value === null || String(value).trim() === '') {
+      return null;
+    }
+    const days = parseFloat(value);
+    if (Number.isNaN(days) || days < 0) {
+      throw new Error(`Invalid ${column} "${value}" (expected a number of days)`);
+    }
+    return days;
+  }
+
+  /**
+   * Start times of the last successful sync per row, taken from earlier batch journals
+   */
+  static async loadDeltaSince(logDir, currentBatch = null) {
+    const deltaSince = new Map();
+    const batches = await SyncJournal.listBatches(logDir);
+
+    for (const { batch, dir } of batches.reverse()) {
+      if (currentBatch && batch >= currentBatch) {
+        continue;
+      }
+      const journal = await SyncJournal.load(dir);
+      for (const row of journal.rows) {
+        if (row.status === 'success' && row.startedAt && !deltaSince.has(row.key)) {
+          deltaSince.set(row.key, new Date(new Date(row.startedAt).getTime() - SyncAgeFilter.DELTA_OVERLAP_MS));
+        }
+      }
+    }
+
+    return deltaSince;
+  }
+
+  /**
+   * Resolve the window of one row: max_age/min_age columns win over --delta, which wins over --since/--before
+   */
+  static resolve(config, options = {}, now = new Date()) {
+    let since = options.since ? SyncAgeFilter.parseDateOrDuration(options.since, now) : null;
+    let before = options.before ? SyncAgeFilter.parseDateOrDuration(options.before, now) : null;
+
+    if (options.deltaSince) {
+      const previous = options.deltaSince.get(SyncJournal.getRowKey(config));
+      if (previous) {
+        since = previous;
+      }
+    }
+
+    const maxAge = SyncAgeFilter.parseDays(config.max_age, 'max_age');
+    const minAge = SyncAgeFilter.parseDays(config.min_age, 'min_age');
+    if (maxAge !== null) {
+      since = new Date(now.getTime() - maxAge * SyncAgeFilter.DAY_MS);
+    }
+    if (minAge !== null) {
+      before = new Date(now.getTime() - minAge * SyncAgeFilter.DAY_MS);
+    }
+
+    return { since, before };
+  }
+
+  /**
+   * Translate a window into imapsync --maxage/--minage (days, fractional allowed)
+   */
+  static toImapsyncArgs({ since, before }, now = new Date()) {
+    const flags = [];
+    const toDays = (date) => Math.max(0, (now.getTime() - date.getTime()) / SyncAgeFilter.DAY_MS).toFixed(3);
+
+    if (since) flags.push('--maxage', toDays(since));
+    if (before) flags.push('--minage', toDays(before));
+
+    return flags;
+  }
+}
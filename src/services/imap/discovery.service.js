@@ -0,0 +1,318 @@
+import axios from 'axios';
+import chalk from 'chalk';
+import { promises as dns } from 'dns';
+import fs from 'fs-extra';
+import net from 'net';
+import { SyncJobFile } from './job.service.js';
+import { ProviderPresets } from './provider.service.js';
+import { SyncRow } from './row.service.js';
+import { ImapService } from './sync.service.js';
+
+/**
+ * Finds the IMAP server of an email domain for rows without src_host/dst_host
+ *
+ * Tried in order: DNS SRV records (_imaps._tcp, then _imap._tcp, RFC 6186), Mozilla
+ * autoconfig XML, then the MX records: a provider with a preset, or the MX host,
+ * imap.<domain> or mail.<domain> if it answers on 993/143. Every value found keeps
+ * its source, so lint and plan can show where it came from.
+ */
+export class ImapDiscoveryService {
+  /**
+   * Autoconfig locations; {domain} and {email} are filled in
+   */
+  static AUTOCONFIG_URLS = [
+    'https://autoconfig.{domain}/mail/config-v1.1.xml?emailaddress={email}',
+    'https://{domain}/.well-known/autoconfig/mail/config-v1.1.xml?emailaddress={email}',
+    'https://autoconfig.thunderbird.net/v1.1/{domain}'
+  ];
+
+  /**
+   * MX host suffixes of providers that have a preset
+   */
+  static MX_PROVIDERS = {
+    'google.com': 'gmail',
+    'googlemail.com': 'gmail',
+    'outlook.com': 'office365',
+    'yahoodns.net': 'yahoo',
+    'icloud.com': 'icloud',
+    'messagingengine.com': 'fastmail',
+    'zoho.com': 'zoho',
+    'zoho.eu': 'zoho'
+  };
+
+  static SRV_SERVICES = [
+    { prefix: '_imaps._tcp', ssl: true },
+    { prefix: '_imap._tcp', ssl: false }
+  ];
+
+  constructor(options = {}) {
+    this.timeout = (parseFloat(options.timeout) || 5) * 1000;
+    this.resolver = new dns.Resolver({ timeout: this.timeout, tries: 2 });
+    if (options.dnsServers?.length) {
+      this.resolver.setServers(options.dnsServers);
+    }
+    this.autoconfigUrls = options.autoconfigUrls?.length ? options.autoconfigUrls : ImapDiscoveryService.AUTOCONFIG_URLS;
+    // One lookup per domain, shared by every row of that domain (per address when the answer names the address)
+    this.cache = new Map();
+  }
+
+  static getDomain(email) {
+    const match = String(email || '').trim().match(/@([^@\s]+)$/);
+    return match ? match[1].toLowerCase() : null;
+  }
+
+  /**
+   * Settings for an address: { host, port, ssl, provider?, perAddress?, source, detail }, or null
+   */
+  async discover(email) {
+    const domain = ImapDiscoveryService.getDomain(email);
+    if (!domain) {
+      return null;
+    }
+    const address = email.trim();
+    const key = address.toLowerCase();
+    if (this.cache.has(key)) {
+      return this.cache.get(key);
+    }
+    if (!this.cache.has(domain)) {
+      const lookup = this.discoverDomain(domain, address);
+      this.cache.set(domain, lookup);
+      this.cache.set(key, lookup);
+      return lookup;
+    }
+
+    const shared = await this.cache.get(domain);
+    if (!shared?.perAddress) {
+      return shared;
+    }
+    // The autoconfig host name was built from another address (%EMAILADDRESS%), look this one up itself
+    if (!this.cache.has(key)) {
+      this.cache.set(key, this.discoverDomain(domain, address));
+    }
+    return this.cache.get(key);
+  }
+
+  async discoverDomain(domain, email) {
+    return await this.fromSrv(domain)
+      ?? await this.fromAutoconfig(domain, email)
+      ?? await this.fromMx(domain);
+  }
+
+  async fromSrv(domain) {
+    for (const service of ImapDiscoveryService.SRV_SERVICES) {
+      const name = `${service.prefix}.${domain}`;
+      const records = (await this.resolver.resolveSrv(name).catch(() => []))
+        // A target of "." means the service is not offered
+        .filter(record => record.name && record.name !== '.')
+        .sort((a, b) => a.priority - b.priority || b.weight - a.weight);
+
+      if (records.length > 0) {
+        return { host: records[0].name, port: records[0].port, ssl: service.ssl, source: 'SRV', detail: name };
+      }
+    }
+    return null;
+  }
+
+  async fromAutoconfig(domain, email) {
+    for (const template of this.autoconfigUrls) {
+      const url = template
+        .replaceAll('{domain}', encodeURIComponent(domain))
+        .replaceAll('{email}', encodeURIComponent(email));
+      try {
+        const response = await axios.get(url, { timeout: this.timeout, responseType: 'text', maxRedirects: 3 });
+        const server = ImapDiscoveryService.parseAutoconfig(String(response.data), domain, email);
+        if (server) {
+          return { ...server, source: 'autoconfig', detail: url };
+        }
+      } catch {
+        // not published there, try the next location
+      }
+    }
+    return null;
+  }
+
+  /**
+   * The preferred IMAP server of a config-v1.1.xml document (the first with implicit TLS, else the first)
+   *
+   * perAddress marks host names built from the address, which cannot be shared with the rest of the domain.
+   */
+  static parseAutoconfig(xml, domain, email) {
+    const tag = (block, name) => block.match(new RegExp(`<${name}>\\s*([^<]*?)\\s*</${name}>`, 'i'))?.[1] ?? '';
+    const servers = [...xml.matchAll(/<incomingServer\s+type=["']imap["'][^>]*>([\s\S]*?)<\/incomingServer>/gi)]
+      .map(([, block]) => {
+        const socketType = tag(block, 'socketType').toUpperCase();
+        const port = parseInt(tag(block, 'port'), 10);
+        const hostname = tag(block, 'hostname');
+        const server = {
+          host: hostname
+            .replaceAll('%EMAILDOMAIN%', domain)
+            .replaceAll('%EMAILADDRESS%', email)
+            .replaceAll('%EMAILLOCALPART%', email.split('@')[0])
+            .replaceAll('&amp;', '&'),
+          port: port || (socketType === 'SSL' ? 993 : 143),
+          ssl: socketType === 'SSL'
+        };
+        if (/%EMAIL(ADDRESS|LOCALPART)%/.test(hostname)) {
+          server.perAddress = true;
+        }
+        return server;
+      })
+      .filter(server => server.host);
+
+    return servers.find(server => server.ssl) || servers[0] || null;
+  }
+
+  async fromMx(domain) {
+    const records = (await this.resolver.resolveMx(domain).catch(() => []))
+      .sort((a, b) => a.priority - b.priority);
+    if (records.length === 0) {
+      return null;
+    }
+
+    for (const { exchange } of records) {
+      const suffix = Object.keys(ImapDiscoveryService.MX_PROVIDERS)
+        .find(name => exchange.toLowerCase() === name || exchange.toLowerCase().endsWith(`.${name}`));
+      const provider = suffix && ImapDiscoveryService.MX_PROVIDERS[suffix];
+      const preset = provider && ProviderPresets.get(provider);
+      if (preset?.host) {
+        return {
+          host: preset.host, port: preset.port ?? 993, ssl: preset.ssl ?? true, provider,
+          source: 'MX', detail: `${exchange} is ${preset.label || provider}`
+        };
+      }
+    }
+
+    // Small hosters usually serve IMAP on the MX host or a conventional name next to it
+    const candidates = [...new Set([records[0].exchange, `imap.${domain}`, `mail.${domain}`])];
+    for (const { port, ssl } of [{ port: 993, ssl: true }, { port: 143, ssl: false }]) {
+      for (const host of candidates) {
+        if (await this.probe(host, port)) {
+          return { host, port, ssl, source: 'MX guess', detail: `MX ${records[0].exchange}, ${host}:${port} answers` };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Whether a TCP connection to host:port opens within the timeout
+   */
+  async probe(host, port) {
+    // Resolve through the configured DNS servers too, so a local stand-in also answers A records
+    const [address] = await this.resolver.resolve4(host).catch(() => [host]);
+    return new Promise(resolve => {
+      const socket = net.connect({ host: address, port, timeout: this.timeout });
+      const done = result => {
+        socket.destroy();
+        resolve(result);
+      };
+      socket.once('connect', () => done(true));
+      socket.once('timeout', () => done(false));
+      socket.once('error', () => done(false));
+    });
+  }
+
+  /**
+   * Fill empty host cells (and port/ssl/provider when empty) of every row; resolves with one entry per side looked up
+   */
+  async fillConfigs(configs) {
+    const lookups = [];
+    configs.forEach((config, index) => {
+      if (SyncRow.isSkippedRow(config)) {
+        return;
+      }
+      for (const side of ['src', 'dst']) {
+        if (!(config[`${side}_host`] ?? '').trim()) {
+          lookups.push({ config, index, side, email: (config[`${side}_user`] ?? '').trim() });
+        }
+      }
+    });
+
+    await Promise.all(lookups.map(async lookup => {
+      lookup.result = await this.discover(lookup.email);
+      lookup.values = {};
+      if (!lookup.result) {
+        return;
+      }
+
+      const { side, config, result } = lookup;
+      const found = {
+        [`${side}_host`]: result.host,
+        [`${side}_port`]: String(result.port),
+        [`${side}_ssl`]: result.ssl ? '1' : '0',
+        ...(result.provider ? { [`${side}_provider`]: result.provider } : {})
+      };
+      for (const [column, value] of Object.entries(found)) {
+        if ((config[column] ?? '') === '') {
+          config[column] = value;
+          lookup.values[column] = value;
+        }
+      }
+    }));
+
+    return lookups;
+  }
+
+  /**
+   * Print what was found for every row, with the source of the values
+   */
+  static printLookups(lookups, file) {
+    if (lookups.length === 0) {
+      return;
+    }
+    console.log(chalk.blue('🔭 Server autodiscovery:'));
+    for (const { config, side, email, result, values } of lookups) {
+      const where = `${file}:${SyncRow.getLineNumber(config) ?? '?'} ${side}`;
+      if (!result) {
+        const reason = ImapDiscoveryService.getDomain(email) ? 'nothing found' : `"${email}" is not an email address`;
+        console.log(chalk.yellow(`${where} ${email || '(no user)'}: ${reason}`));
+        continue;
+      }
+      const settings = Object.entries(values).map(([column, value]) => `${column}=${value}`).join(' ');
+      console.log(`${where} ${email}: ${chalk.green(settings)} ${chalk.gray(`(${result.source}: ${result.detail})`)}`);
+    }
+    console.log('');
+  }
+
+  /**
+   * Write the discovered values into the empty cells of the CSV, keeping a .bak copy
+   */
+  static async writeBack(file, lookups) {
+    if (SyncJobFile.isJobFile(file)) {
+      throw new Error(`Cannot write discovered settings into a job file (${file}); add them to it by hand`);
+    }
+
+    // The CSV as written, without provider presets filled in; rows are in the same order
+    const rows = await new ImapService().parseCsvFile(file, { presets: false });
+    let changed = 0;
+    for (const { index, values } of lookups) {
+      for (const [column, value] of Object.entries(values)) {
+        if ((rows[index][column] ?? '') === '') {
+          rows[index][column] = value;
+          changed++;
+        }
+      }
+    }
+    if (changed === 0) {
+      return 0;
+    }
+
+    await fs.copy(file, `${file}.bak`);
+    await new ImapService().writeCsvFile(rows, file);
+    return changed;
+  }
+
+  /**
+   * Discover, print and optionally write back, as done by sync lint and sync plan
+   */
+  async run(configs, file, options = {}) {
+    const lookups = await this.fillConfigs(configs);
+    ImapDiscoveryService.printLookups(lookups, file);
+
+    if (options.writeBack && lookups.some(lookup => Object.keys(lookup.values).length > 0)) {
+      const changed = await ImapDiscoveryService.writeBack(file, lookups);
+      console.log(chalk.green(`✅ Wrote ${changed} discovered value(s) to ${file} (previous version: ${file}.bak)\n`));
+    }
+    return lookups;
+  }
+}
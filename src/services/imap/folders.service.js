@@ -0,0 +1,166 @@
+/**
+ * Per-account folder rules read from the optional sync CSV columns:
+ *
+ * - folder_map:      "Sent=Sent Items;INBOX.Old=Archive" (exact source -> destination names)
+ * - include_folders: "^INBOX;^Projects" (regexes, only matching source folders are synced)
+ * - exclude_folders: "^Trash;Spam$" (regexes, matching source folders are skipped)
+ * - folder_regex:    "s/^INBOX\.//;s/ /_/g" (substitutions applied to destination names)
+ * - src_sep, dst_sep, src_prefix, dst_prefix: namespace overrides
+ *
+ * List values are separated by semicolons.
+ */
+export class FolderMapper {
+  /**
+   * SPECIAL-USE flags matched between both sides in auto-map mode
+   */
+  static SPECIAL_USE_FLAGS = ['\\Sent', '\\Drafts', '\\Junk', '\\Trash', '\\Archive'];
+
+  constructor(config = {}, options = {}) {
+    this.folderMap = FolderMapper.parseFolderMap(config.folder_map);
+    this.include = FolderMapper.parseRegexList(config.include_folders, 'include_folders');
+    this.exclude = FolderMapper.parseRegexList(config.exclude_folders, 'exclude_folders');
+    this.regexTrans = FolderMapper.parseList(config.folder_regex).map(FolderMapper.parseSubstitution);
+    this.overrides = {
+      src: { prefix: config.src_prefix, delimiter: config.src_sep },
+      dst: { prefix: config.dst_prefix, delimiter: config.dst_sep }
+    };
+    this.autoMap = Boolean(options.autoMap);
+  }
+
+  /**
+   * Split a semicolon-separated cell into trimmed, non-empty values
+   */
+  static parseList(value) {
+    if (!value) {
+      return [];
+    }
+    return value.split(';').map(item => item.trim()).filter(item => item.length > 0);
+  }
+
+  static parseFolderMap(value) {
+    const folderMap = new Map();
+    for (const pair of FolderMapper.parseList(value)) {
+      const separator = pair.indexOf('=');
+      if (separator <= 0) {
+        throw new Error(`Invalid folder_map entry "${pair}" (expected source=destination)`);
+      }
+      folderMap.set(pair.slice(0, separator).trim(), pair.slice(separator + 1).trim());
+    }
+    return folderMap;
+  }
+
+  static parseRegexList(value, column) {
+    return FolderMapper.parseList(value).map(pattern => {
+      try {
+        return new RegExp(pattern);
+      } catch (error) {
+        throw new Error(`Invalid ${column} regex "${pattern}": ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Parse a Perl-style "s/pattern/replacement/flags" substitution
+   */
+  static parseSubstitution(expression) {
+    const match = expression.match(/^s\/((?:\\.|[^\\/])*)\/((?:\\.|[^\\/])*)\/([gi]*)$/);
+    if (!match) {
+      throw new Error(`Invalid folder_regex entry "${expression}" (expected s/pattern/replacement/)`);
+    }
+    try {
+      return {
+        expression,
+        pattern: new RegExp(match[1], match[3]),
+        replacement: match[2].replace(/\\\//g, '/')
+      };
+    } catch (error) {
+      throw new Error(`Invalid folder_regex entry "${expression}": ${error.message}`);
+    }
+  }
+
+  /**
+   * Translate folder columns into imapsync arguments
+   */
+  static toImapsyncArgs(config, options = {}) {
+    const flags = [];
+
+    for (const pattern of FolderMapper.parseList(config.include_folders)) {
+      flags.push('--include', pattern);
+    }
+    for (const pattern of FolderMapper.parseList(config.exclude_folders)) {
+      flags.push('--exclude', pattern);
+    }
+    for (const [from, to] of FolderMapper.parseFolderMap(config.folder_map)) {
+      flags.push('--f1f2', `${from}=${to}`);
+    }
+    for (const expression of FolderMapper.parseList(config.folder_regex)) {
+      flags.push('--regextrans2', expression);
+    }
+
+    if (config.src_sep) flags.push('--sep1', config.src_sep);
+    if (config.dst_sep) flags.push('--sep2', config.dst_sep);
+    if (config.src_prefix !== undefined && config.src_prefix !== '') flags.push('--prefix1', config.src_prefix);
+    if (config.dst_prefix !== undefined && config.dst_prefix !== '') flags.push('--prefix2', config.dst_prefix);
+
+    if (options.autoMap) {
+      flags.push('--automap');
+    }
+
+    return flags;
+  }
+
+  /**
+   * Whether a source folder passes the include/exclude rules
+   */
+  isIncluded(folderPath) {
+    if (this.include.length > 0 && !this.include.some(regex => regex.test(folderPath))) {
+      return false;
+    }
+    return !this.exclude.some(regex => regex.test(folderPath));
+  }
+
+  /**
+   * Namespace of one side, with CSV overrides applied
+   */
+  getNamespace(client, side, fallbackDelimiter = '/') {
+    const override = this.overrides[side];
+    return {
+      prefix: override.prefix !== undefined && override.prefix !== '' ? override.prefix : (client.namespace?.prefix || ''),
+      delimiter: override.delimiter || client.namespace?.delimiter || fallbackDelimiter
+    };
+  }
+
+  /**
+   * Translate a source folder into its destination path
+   */
+  translate(folder, host1, host2, destinationFolders = []) {
+    if (this.folderMap.has(folder.path)) {
+      return this.folderMap.get(folder.path);
+    }
+
+    if (folder.path.toUpperCase() === 'INBOX') {
+      return 'INBOX';
+    }
+
+    if (this.autoMap && FolderMapper.SPECIAL_USE_FLAGS.includes(folder.specialUse)) {
+      const match = destinationFolders.find(candidate => candidate.specialUse === folder.specialUse);
+      if (match) {
+        return match.path;
+      }
+    }
+
+    const ns1 = this.getNamespace(host1, 'src', folder.delimiter || '/');
+    const ns2 = this.getNamespace(host2, 'dst', ns1.delimiter);
+    const delimiter1 = this.overrides.src.delimiter || folder.delimiter || ns1.delimiter;
+
+    const relative = ns1.prefix && folder.path.startsWith(ns1.prefix)
+      ? folder.path.slice(ns1.prefix.length)
+      : folder.path;
+
+    let target = `${ns2.prefix}${relative.split(delimiter1).join(ns2.delimiter)}`;
+    for (const { pattern, replacement } of this.regexTrans) {
+      target = target.replace(pattern, replacement);
+    }
+    return target;
+  }
+}
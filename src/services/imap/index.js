@@ -1 +1,24 @@
 export { ImapService } from './sync.service.js'
+export { NativeSyncService } from './native.service.js'
+export { SyncJournal } from './journal.service.js'
+export { SyncStatsService } from './stats.service.js'
+export { SyncProgress } from './progress.service.js'
+export { FolderMapper } from './folders.service.js'
+export { SyncAgeFilter } from './age.service.js'
+export { PreflightService } from './preflight.service.js'
+export { SyncRetryPolicy } from './retry.service.js'
+export { HostScheduler } from './scheduler.service.js'
+export { OAuthTokenService } from './oauth.service.js'
+export { SyncVerifyService } from './verify.service.js'
+export { SyncWindow } from './window.service.js'
+export { PassfileStore } from './passfile.service.js'
+export { SyncWatcher } from './watch.service.js'
+export { SyncPlanService } from './plan.service.js'
+export { SyncLintService } from './lint.service.js'
+export { SyncJobFile } from './job.service.js'
+export { ImapsyncOptions } from './options.service.js'
+export { SyncRow } from './row.service.js'
+export { ProviderPresets } from './provider.service.js'
+export { ImapDiscoveryService } from './discovery.service.js'
+export { SyncReportService } from './report.service.js'
+export { SyncLogService } from './logs.service.js'
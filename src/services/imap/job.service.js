@@ -0,0 +1,223 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { LineCounter, parseDocument, stringify } from 'yaml';
+import { ImapsyncOptions } from './options.service.js';
+
+/**
+ * YAML/JSON job files, an alternative to sync CSVs
+ *
+ *   defaults:
+ *     src: { host: mail.old.com, port: 993, ssl: true }
+ *     dst: { host: mail.new.com, port: 993, ssl: true }
+ *     folders: { map: { Sent: Sent Items }, exclude: [^Trash] }
+ *     extra_opts: [--exclude, ^Old Mail]
+ *   accounts:
+ *     - src: { user: user1@old.com, pass: env:USER1_PASS }
+ *       dst: { user: user1@new.com, pass: vault:mail/user1@new.com }
+ *
+ * Every account inherits the defaults and is flattened into the same row object a
+ * CSV line gives (src_host, dst_user, folder_map, ...). Flat CSV column names work
+ * in both sections too.
+ */
+export class SyncJobFile {
+  static EXTENSIONS = ['.yaml', '.yml', '.json'];
+
+  /**
+   * Keys of the src/dst sections, each becoming a <side>_<key> column
+   */
+  static SIDE_FIELDS = ['provider', 'host', 'user', 'pass', 'port', 'ssl', 'auth', 'sep', 'prefix', 'oauth', 'tls_insecure'];
+
+  /**
+   * Keys of the folders section and their columns
+   */
+  static FOLDER_FIELDS = {
+    map: 'folder_map',
+    include: 'include_folders',
+    exclude: 'exclude_folders',
+    regex: 'folder_regex'
+  };
+
+  static isJobFile(file) {
+    return SyncJobFile.EXTENSIONS.includes(path.extname(file || '').toLowerCase());
+  }
+
+  /**
+   * Turn a YAML value into a cell: booleans become 1/0, lists and maps are joined with semicolons
+   */
+  static toCell(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    if (typeof value === 'boolean') {
+      return value ? '1' : '0';
+    }
+    if (Array.isArray(value)) {
+      return value.map(String).join(';');
+    }
+    if (typeof value === 'object') {
+      return Object.entries(value).map(([from, to]) => `${from}=${to}`).join(';');
+    }
+    return String(value);
+  }
+
+  /**
+   * Flatten a defaults or account section into row columns
+   */
+  static flatten(section, where) {
+    if (section === null || section === undefined) {
+      return {};
+    }
+    if (typeof section !== 'object' || Array.isArray(section)) {
+      throw new Error(`${where}: expected a mapping`);
+    }
+
+    const row = {};
+    for (const [key, value] of Object.entries(section)) {
+      if (key === 'src' || key === 'dst') {
+        if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+          throw new Error(`${where}: ${key} must be a mapping of ${SyncJobFile.SIDE_FIELDS.join(', ')}`);
+        }
+        for (const [field, fieldValue] of Object.entries(value)) {
+          if (!SyncJobFile.SIDE_FIELDS.includes(field)) {
+            throw new Error(`${where}: unknown ${key} setting "${field}" (use ${SyncJobFile.SIDE_FIELDS.join(', ')})`);
+          }
+          row[`${key}_${field}`] = SyncJobFile.toCell(fieldValue);
+        }
+      } else if (key === 'folders') {
+        if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+          throw new Error(`${where}: folders must be a mapping of ${Object.keys(SyncJobFile.FOLDER_FIELDS).join(', ')}`);
+        }
+        for (const [field, fieldValue] of Object.entries(value)) {
+          const column = SyncJobFile.FOLDER_FIELDS[field];
+          if (!column) {
+            throw new Error(`${where}: unknown folders setting "${field}" (use ${Object.keys(SyncJobFile.FOLDER_FIELDS).join(', ')})`);
+          }
+          row[column] = SyncJobFile.toCell(fieldValue);
+        }
+      } else if (key === 'extra_opts' && Array.isArray(value)) {
+        // One list item per argument, quoted so the cell splits back into the same list
+        row[key] = ImapsyncOptions.stringify(value.map(String));
+      } else {
+        row[key] = SyncJobFile.toCell(value);
+      }
+    }
+    return row;
+  }
+
+  /**
+   * Read a job file; resolves with { config, line } for every account
+   */
+  static async load(file) {
+    if (!await fs.pathExists(file)) {
+      throw new Error(`Job file not found: ${file}`);
+    }
+
+    // JSON is YAML too, so both get line numbers
+    const lineCounter = new LineCounter();
+    const document = parseDocument(await fs.readFile(file, 'utf8'), { lineCounter });
+    if (document.errors.length > 0) {
+      throw new Error(`${file}: ${document.errors[0].message}`);
+    }
+
+    const job = document.toJS() || {};
+    if (!Array.isArray(job.accounts)) {
+      throw new Error(`${file}: expected an "accounts" list`);
+    }
+
+    const defaults = SyncJobFile.flatten(job.defaults, `${file}: defaults`);
+    const nodes = document.get('accounts', true).items;
+
+    return job.accounts.map((account, index) => {
+      const line = nodes[index]?.range ? lineCounter.linePos(nodes[index].range[0]).line : null;
+      return {
+        config: { ...defaults, ...SyncJobFile.flatten(account, `${file}:${line ?? '?'}: account ${index + 1}`) },
+        line
+      };
+    });
+  }
+
+  /**
+   * Fold a value back into its YAML type
+   */
+  static fromCell(column, value) {
+    if (/_port$/.test(column) && /^\d+$/.test(value)) {
+      return parseInt(value, 10);
+    }
+    if (/_(ssl|tls_insecure)$/.test(column) && ['1', '0', 'true', 'false', 'TRUE', 'FALSE'].includes(value)) {
+      return ['1', 'true', 'TRUE'].includes(value);
+    }
+    if (column === 'folder_map') {
+      return Object.fromEntries(value.split(';').filter(Boolean).map(pair => {
+        const separator = pair.indexOf('=');
+        return [pair.slice(0, separator).trim(), pair.slice(separator + 1).trim()];
+      }));
+    }
+    if (['include_folders', 'exclude_folders', 'folder_regex'].includes(column)) {
+      return value.split(';').map(item => item.trim()).filter(Boolean);
+    }
+    return value;
+  }
+
+  /**
+   * Nest flat row columns into src/dst/folders sections
+   */
+  static nest(row) {
+    const section = {};
+    const folderColumns = Object.fromEntries(Object.entries(SyncJobFile.FOLDER_FIELDS).map(([key, column]) => [column, key]));
+
+    for (const [column, value] of Object.entries(row)) {
+      const side = column.match(/^(src|dst)_(.+)$/);
+      if (side && SyncJobFile.SIDE_FIELDS.includes(side[2])) {
+        section[side[1]] = section[side[1]] || {};
+        section[side[1]][side[2]] = SyncJobFile.fromCell(column, value);
+      } else if (folderColumns[column]) {
+        section.folders = section.folders || {};
+        section.folders[folderColumns[column]] = SyncJobFile.fromCell(column, value);
+      } else {
+        section[column] = value;
+      }
+    }
+    return section;
+  }
+
+  /**
+   * Build a job from CSV rows: values shared by every row (except users and passwords) become defaults
+   */
+  static fromConfigs(configs) {
+    const columns = [...new Set(configs.flatMap(config => Object.keys(config)))];
+    const perAccount = ['src_user', 'src_pass', 'dst_user', 'dst_pass'];
+
+    const shared = {};
+    if (configs.length > 1) {
+      for (const column of columns.filter(name => !perAccount.includes(name))) {
+        const values = new Set(configs.map(config => config[column] ?? ''));
+        const [value] = values;
+        if (values.size === 1 && value !== '') {
+          shared[column] = value;
+        }
+      }
+    }
+
+    const accounts = configs.map(config => {
+      const own = Object.fromEntries(Object.entries(config)
+        .filter(([column, value]) => value !== '' && value !== undefined && !(column in shared)));
+      return SyncJobFile.nest(own);
+    });
+
+    return Object.keys(shared).length > 0
+      ? { defaults: SyncJobFile.nest(shared), accounts }
+      : { accounts };
+  }
+
+  /**
+   * Write a job as YAML or JSON, depending on the file extension
+   */
+  static async write(job, file) {
+    await fs.ensureDir(path.dirname(file));
+    const content = path.extname(file).toLowerCase() === '.json'
+      ? `${JSON.stringify(job, null, 2)}\n`
+      : stringify(job);
+    await fs.writeFile(file, content);
+    return file;
+  }
+}
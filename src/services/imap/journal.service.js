@@ -0,0 +1,205 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+/**
+ * Per-batch journal recording the state of every sync row
+ */
+export class SyncJournal {
+  static FILE_NAME = 'journal.json';
+
+  /**
+   * Statuses that are re-run when a batch is resumed
+   * ('running' means the process died while the row was in progress, 'dry-run' that nothing was copied yet)
+   */
+  static RESUMABLE_STATUSES = ['pending', 'running', 'failed', 'interrupted', 'dry-run'];
+
+  constructor(batchDir, data) {
+    this.batchDir = batchDir;
+    this.file = path.join(batchDir, SyncJournal.FILE_NAME);
+    this.data = data;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Stable key identifying a CSV row across runs
+   */
+  static getRowKey(config) {
+    return `${config.src_host}/${config.src_user} -> ${config.dst_host}/${config.dst_user}`;
+  }
+
+  /**
+   * Drop rows that repeat the same source and destination account
+   */
+  static uniqueConfigs(configs) {
+    const seen = new Set();
+    return configs.filter(config => {
+      const key = SyncJournal.getRowKey(config);
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * Resolve a batch argument (unix timestamp or directory path) to a batch directory
+   */
+  static resolveBatchDir(batch, logDir) {
+    if (fs.pathExistsSync(path.join(batch, SyncJournal.FILE_NAME))) {
+      return batch;
+    }
+    return path.join(logDir, String(batch));
+  }
+
+  /**
+   * List batch directories (unix timestamp names) that contain a journal, oldest first
+   */
+  static async listBatches(logDir) {
+    if (!await fs.pathExists(logDir)) {
+      return [];
+    }
+
+    const batches = [];
+    for (const entry of await fs.readdir(logDir)) {
+      const dir = path.join(logDir, entry);
+      if (/^\d+$/.test(entry) && await fs.pathExists(path.join(dir, SyncJournal.FILE_NAME))) {
+        batches.push({ batch: parseInt(entry, 10), dir });
+      }
+    }
+    return batches.sort((a, b) => a.batch - b.batch);
+  }
+
+  /**
+   * Create a new journal with every row marked as pending
+   */
+  static async create(batchDir, { batch, csv, configs }) {
+    const now = new Date().toISOString();
+    const journal = new SyncJournal(batchDir, {
+      version: 1,
+      batch,
+      csv: csv ? path.resolve(csv) : null,
+      createdAt: now,
+      updatedAt: now,
+      rows: SyncJournal.uniqueConfigs(configs).map(config => ({
+        key: SyncJournal.getRowKey(config),
+        src_user: config.src_user,
+        src_host: config.src_host,
+        dst_user: config.dst_user,
+        dst_host: config.dst_host,
+        status: 'pending',
+        exitCode: null,
+        error: null,
+        startedAt: null,
+        endedAt: null,
+        logFile: null,
+        attempts: 0
+      }))
+    });
+
+    await fs.ensureDir(batchDir);
+    await journal.save();
+    return journal;
+  }
+
+  /**
+   * Load the journal of an existing batch
+   */
+  static async load(batchDir) {
+    const file = path.join(batchDir, SyncJournal.FILE_NAME);
+    if (!await fs.pathExists(file)) {
+      throw new Error(`No sync journal found in: ${batchDir}`);
+    }
+    return new SyncJournal(batchDir, await fs.readJson(file));
+  }
+
+  get batch() {
+    return this.data.batch;
+  }
+
+  get csv() {
+    return this.data.csv;
+  }
+
+  get rows() {
+    return this.data.rows;
+  }
+
+  getRow(config) {
+    const key = SyncJournal.getRowKey(config);
+    return this.data.rows.find(row => row.key === key) || null;
+  }
+
+  /**
+   * Whether a row still has to be synced when the batch is resumed
+   */
+  needsRun(config) {
+    const row = this.getRow(config);
+    return !row || SyncJournal.RESUMABLE_STATUSES.includes(row.status);
+  }
+
+  /**
+   * Count rows per status
+   */
+  countByStatus() {
+    return this.data.rows.reduce((counts, row) => {
+      counts[row.status] = (counts[row.status] || 0) + 1;
+      return counts;
+    }, {});
+  }
+
+  /**
+   * Update a row and persist the journal
+   */
+  async update(config, changes) {
+    let row = this.getRow(config);
+    if (!row) {
+      row = {
+        key: SyncJournal.getRowKey(config),
+        src_user: config.src_user,
+        src_host: config.src_host,
+        dst_user: config.dst_user,
+        dst_host: config.dst_host,
+        attempts: 0
+      };
+      this.data.rows.push(row);
+    }
+    Object.assign(row, changes);
+    return this.save();
+  }
+
+  markStarted(config, logFile) {
+    const row = this.getRow(config);
+    return this.update(config, {
+      status: 'running',
+      exitCode: null,
+      error: null,
+      startedAt: new Date().toISOString(),
+      endedAt: null,
+      logFile,
+      attempts: (row?.attempts || 0) + 1
+    });
+  }
+
+  markFinished(config, status, { exitCode = null, error = null } = {}) {
+    return this.update(config, {
+      status,
+      exitCode,
+      error,
+      endedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Write the journal atomically, serializing concurrent writes
+   */
+  save() {
+    this.writing = this.writing.catch(() => {}).then(async () => {
+      this.data.updatedAt = new Date().toISOString();
+      const tmpFile = `${this.file}.tmp`;
+      await fs.writeJson(tmpFile, this.data, { spaces: 2 });
+      await fs.rename(tmpFile, this.file);
+    });
+    return this.writing;
+  }
+}
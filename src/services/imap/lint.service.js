@@ -0,0 +1,265 @@
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import { SecretResolver } from '../shared/secret.service.js';
+import { SyncAgeFilter } from './age.service.js';
+import { FolderMapper } from './folders.service.js';
+import { SyncJournal } from './journal.service.js';
+import { ImapsyncOptions } from './options.service.js';
+import { ProviderPresets } from './provider.service.js';
+import { SyncRow } from './row.service.js';
+
+/**
+ * Validates sync CSV rows before anything connects (emoo sync lint, and before every sync)
+ *
+ * Problems are reported with their CSV line and column. Errors are rows that
+ * cannot work as written; warnings are rows that probably do not do what was meant.
+ */
+export class SyncLintService {
+  static REQUIRED_COLUMNS = ['src_host', 'src_user', 'src_pass', 'dst_host', 'dst_user', 'dst_pass'];
+
+  static KNOWN_COLUMNS = [
+    ...SyncLintService.REQUIRED_COLUMNS,
+    'src_port', 'dst_port', 'src_ssl', 'dst_ssl', 'src_auth', 'dst_auth',
+    'folder_map', 'include_folders', 'exclude_folders', 'folder_regex',
+    'src_sep', 'dst_sep', 'src_prefix', 'dst_prefix', 'src_tls_insecure', 'dst_tls_insecure',
+    'max_age', 'min_age', 'src_oauth', 'dst_oauth', 'extra_opts', 'src_provider', 'dst_provider',
+    // Written by sync-pass
+    'comments'
+  ];
+
+  /**
+   * Columns that do not change which accounts are connected, left out when comparing repeated rows
+   */
+  static NON_CONNECTION_COLUMNS = ['comments', 'extra_opts'];
+
+  /**
+   * Values SyncRow.toBool understands; anything else would silently mean "off"
+   */
+  static BOOLEAN_VALUES = ['', '1', '0', 'true', 'false', 'TRUE', 'FALSE'];
+
+  static AUTH_MECHANISMS = ['PLAIN', 'LOGIN', 'CRAM-MD5', 'XOAUTH2', 'XOAUTH', 'NTLM', 'EXTERNAL'];
+
+  /**
+   * Ports that imply a TLS mode, for the port/ssl mismatch warning
+   */
+  static TLS_PORTS = { 993: true, 143: false };
+
+  constructor() {
+    this.issues = [];
+  }
+
+  add(severity, line, column, message) {
+    this.issues.push({ severity, line, column, message });
+  }
+
+  get errors() {
+    return this.issues.filter(issue => issue.severity === 'error');
+  }
+
+  get warnings() {
+    return this.issues.filter(issue => issue.severity === 'warning');
+  }
+
+  /**
+   * Check the header and every row; resolves with the list of issues, sorted by line
+   */
+  async lint(configs) {
+    // Rows of a job file may each have their own columns
+    const columns = [...new Set(configs.flatMap(config => Object.keys(config)))];
+    const missing = SyncLintService.REQUIRED_COLUMNS
+      .filter(name => !columns.includes(name))
+      .filter(name => !(name.endsWith('_pass') && columns.includes(name.replace('_pass', '_oauth'))));
+    for (const column of missing) {
+      this.add('error', 1, column, 'required column is missing');
+    }
+    for (const column of columns.filter(name => !SyncLintService.KNOWN_COLUMNS.includes(name))) {
+      this.add('warning', 1, column, 'unknown column, it is ignored');
+    }
+
+    const rows = configs.filter(config => !SyncRow.isSkippedRow(config));
+    for (const config of rows) {
+      await this.lintRow(config);
+    }
+    this.lintDuplicates(rows);
+
+    this.issues.sort((a, b) => (a.line ?? 0) - (b.line ?? 0));
+    return this.issues;
+  }
+
+  async lintRow(config) {
+    const line = SyncRow.getLineNumber(config);
+    const value = column => (config[column] ?? '').trim();
+
+    for (const side of ['src', 'dst']) {
+      const provider = ProviderPresets.getProvider(config, side);
+      try {
+        if (provider && !ProviderPresets.get(provider)) {
+          this.add('error', line, `${side}_provider`, `unknown provider "${provider}" (known: ${ProviderPresets.getNames().join(', ')})`);
+        }
+      } catch (error) {
+        this.add('error', line, `${side}_provider`, error.message);
+      }
+
+      for (const field of ['host', 'user']) {
+        if (!value(`${side}_${field}`)) {
+          this.add('error', line, `${side}_${field}`, 'is empty');
+        }
+      }
+
+      const host = value(`${side}_host`);
+      if (host && (/\s/.test(host) || host.includes('://') || host.includes('/'))) {
+        this.add('error', line, `${side}_host`, `"${host}" is not a host name (no scheme, path or spaces)`);
+      }
+
+      const port = value(`${side}_port`);
+      if (port && !(/^\d+$/.test(port) && parseInt(port, 10) >= 1 && parseInt(port, 10) <= 65535)) {
+        this.add('error', line, `${side}_port`, `"${port}" is not a port number (1-65535)`);
+      }
+
+      const ssl = config[`${side}_ssl`] ?? '';
+      if (!SyncLintService.BOOLEAN_VALUES.includes(ssl)) {
+        this.add('error', line, `${side}_ssl`, `"${ssl}" is not 1/true or 0/false and would be treated as false`);
+      } else if (port && SyncLintService.TLS_PORTS[port] !== undefined && SyncLintService.TLS_PORTS[port] !== SyncRow.toBool(ssl)) {
+        this.add('warning', line, `${side}_ssl`, `port ${port} usually ${SyncLintService.TLS_PORTS[port] ? 'needs' : 'does not use'} implicit TLS, but ${side}_ssl is ${SyncRow.toBool(ssl) ? 'on' : 'off'}`);
+      }
+
+      const insecure = config[`${side}_tls_insecure`] ?? '';
+      if (!SyncLintService.BOOLEAN_VALUES.includes(insecure)) {
+        this.add('error', line, `${side}_tls_insecure`, `"${insecure}" is not 1/true or 0/false and would be treated as false`);
+      }
+
+      const auth = value(`${side}_auth`);
+      if (auth && !SyncLintService.AUTH_MECHANISMS.includes(auth.toUpperCase())) {
+        this.add('warning', line, `${side}_auth`, `unknown authentication mechanism "${auth}"`);
+      }
+
+      await this.lintCredentials(config, side, line);
+    }
+
+    this.lintFolders(config, line);
+
+    let maxAge = null;
+    let minAge = null;
+    try {
+      maxAge = SyncAgeFilter.parseDays(config.max_age, 'max_age');
+    } catch (error) {
+      this.add('error', line, 'max_age', error.message);
+    }
+    try {
+      minAge = SyncAgeFilter.parseDays(config.min_age, 'min_age');
+    } catch (error) {
+      this.add('error', line, 'min_age', error.message);
+    }
+    if (maxAge !== null && minAge !== null && minAge >= maxAge) {
+      this.add('error', line, 'min_age', `min_age ${minAge} is not below max_age ${maxAge}, no message would match`);
+    }
+
+    try {
+      const dangerous = ImapsyncOptions.findDangerous(ImapsyncOptions.validate(config.extra_opts, 'extra_opts'));
+      if (dangerous.length > 0) {
+        this.add('warning', line, 'extra_opts', `${dangerous.join(', ')} deletes mail or folders; sync asks for --allow-dangerous`);
+      }
+    } catch (error) {
+      this.add('error', line, 'extra_opts', error.message);
+    }
+  }
+
+  /**
+   * Password or OAuth token file of one side; references are checked without revealing them
+   */
+  async lintCredentials(config, side, line) {
+    const column = `${side}_pass`;
+    const password = config[column] ?? '';
+    const tokenFile = (config[`${side}_oauth`] ?? '').trim();
+
+    if (tokenFile) {
+      if (!await fs.pathExists(tokenFile)) {
+        this.add('error', line, `${side}_oauth`, `token file not found: ${tokenFile}`);
+      }
+      return;
+    }
+
+    if (!password) {
+      this.add('error', line, column, `is empty (and there is no ${side}_oauth token file)`);
+      return;
+    }
+
+    const reference = SecretResolver.parseReference(password);
+    if (reference?.scheme === 'env' && process.env[reference.target] === undefined) {
+      this.add('error', line, column, `environment variable ${reference.target} is not set`);
+    } else if (reference?.scheme === 'file' && !await fs.pathExists(reference.target)) {
+      this.add('error', line, column, `secret file not found: ${reference.target}`);
+    } else if (!reference && password !== password.trim()) {
+      this.add('warning', line, column, 'has leading or trailing spaces');
+    }
+  }
+
+  lintFolders(config, line) {
+    const checks = [
+      ['folder_map', () => FolderMapper.parseFolderMap(config.folder_map)],
+      ['include_folders', () => FolderMapper.parseRegexList(config.include_folders, 'include_folders')],
+      ['exclude_folders', () => FolderMapper.parseRegexList(config.exclude_folders, 'exclude_folders')],
+      ['folder_regex', () => FolderMapper.parseList(config.folder_regex).map(FolderMapper.parseSubstitution)]
+    ];
+
+    for (const [column, check] of checks) {
+      try {
+        check();
+      } catch (error) {
+        this.add('error', line, column, error.message);
+      }
+    }
+  }
+
+  /**
+   * Rows repeating the same accounts (identical: synced twice; different settings: conflict)
+   * and destination accounts fed by more than one source
+   */
+  lintDuplicates(rows) {
+    const byKey = new Map();
+    const byDestination = new Map();
+
+    for (const config of rows) {
+      const line = SyncRow.getLineNumber(config);
+      const key = SyncJournal.getRowKey(config);
+      const first = byKey.get(key);
+
+      if (first) {
+        const firstLine = SyncRow.getLineNumber(first);
+        const differing = Object.keys(config)
+          .filter(column => !SyncLintService.NON_CONNECTION_COLUMNS.includes(column))
+          .filter(column => (config[column] ?? '') !== (first[column] ?? ''));
+        if (differing.length > 0) {
+          this.add('error', line, differing.join(', '), `conflicts with line ${firstLine}: same accounts, different ${differing.join(', ')}`);
+        } else {
+          this.add('warning', line, null, `duplicate of line ${firstLine}, the account would be synced twice`);
+        }
+        continue;
+      }
+      byKey.set(key, config);
+
+      const destination = `${(config.dst_host || '').toLowerCase()}/${config.dst_user}`;
+      const other = byDestination.get(destination);
+      if (other) {
+        this.add('warning', line, 'dst_user', `line ${SyncRow.getLineNumber(other)} also syncs into ${config.dst_user} on ${config.dst_host}`);
+      } else {
+        byDestination.set(destination, config);
+      }
+    }
+  }
+
+  /**
+   * Print every issue with its line and column
+   */
+  printIssues(file = null) {
+    for (const issue of this.issues) {
+      const where = file ? `${file}:${issue.line ?? '?'}` : `line ${issue.line ?? '?'}`;
+      const column = issue.column ? ` [${issue.column}]` : '';
+      const color = issue.severity === 'error' ? chalk.red : chalk.yellow;
+      console.log(color(`${where}${column} ${issue.severity}: ${issue.message}`));
+    }
+
+    const summary = `${this.errors.length} error(s), ${this.warnings.length} warning(s)`;
+    console.log((this.errors.length > 0 ? chalk.red : this.warnings.length > 0 ? chalk.yellow : chalk.green)(summary));
+  }
+}
@@ -0,0 +1,283 @@
+import { createReadStream, createWriteStream } from 'fs';
+import fs from 'fs-extra';
+import path from 'path';
+import readline from 'readline';
+import { pipeline } from 'stream/promises';
+import { createGunzip, createGzip, gunzipSync } from 'zlib';
+import { UtilService } from '../shared/util.service.js';
+import { SyncJournal } from './journal.service.js';
+import { SyncStatsService } from './stats.service.js';
+
+/**
+ * Browsing and retention of the batch directories under results/sync-log (emoo logs)
+ *
+ * Batches are the <unix timestamp> directories created by generateLogFilePath.
+ * Compressed batches keep their directory and journal, with every account log
+ * gzipped in place (.log.gz), so they can still be listed, shown and searched.
+ */
+export class SyncLogService {
+  static DEFAULT_LOG_DIR = './results/sync-log';
+
+  static FOLLOW_INTERVAL_MS = 1000;
+
+  constructor(logDir = SyncLogService.DEFAULT_LOG_DIR) {
+    this.logDir = logDir;
+  }
+
+  static isLogFile(file) {
+    return file.endsWith('.log') || file.endsWith('.log.gz');
+  }
+
+  /**
+   * Account logs of a batch directory, sorted by name (and so by start time per account)
+   */
+  static async getLogFiles(dir) {
+    return (await fs.readdir(dir))
+      .filter(SyncLogService.isLogFile)
+      .sort()
+      .map(file => path.join(dir, file));
+  }
+
+  /**
+   * Total size of the files in a directory
+   */
+  static async getSize(dir) {
+    let bytes = 0;
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      const file = path.join(dir, entry.name);
+      bytes += entry.isDirectory() ? await SyncLogService.getSize(file) : (await fs.stat(file)).size;
+    }
+    return bytes;
+  }
+
+  /**
+   * Batch directories (unix timestamp names), oldest first, with or without a journal
+   */
+  async listBatchDirs() {
+    if (!await fs.pathExists(this.logDir)) {
+      return [];
+    }
+    const batches = [];
+    for (const entry of await fs.readdir(this.logDir, { withFileTypes: true })) {
+      if (entry.isDirectory() && /^\d+$/.test(entry.name)) {
+        batches.push({ batch: parseInt(entry.name, 10), dir: path.join(this.logDir, entry.name) });
+      }
+    }
+    return batches.sort((a, b) => a.batch - b.batch);
+  }
+
+  /**
+   * Dates, row counts per status, size and compression state of a batch
+   */
+  async describeBatch({ batch, dir }) {
+    const journal = await SyncJournal.load(dir).catch(() => null);
+    const logs = await SyncLogService.getLogFiles(dir);
+    const { mtime } = await fs.stat(dir);
+    const startedAt = new Date(batch * 1000);
+
+    return {
+      batch,
+      dir,
+      startedAt,
+      // When anything was last written, so a batch that ran for days is not pruned while it runs
+      lastActivity: new Date(Math.max(startedAt.getTime(), Date.parse(journal?.data.updatedAt) || mtime.getTime())),
+      csv: journal?.csv ?? null,
+      rows: journal?.rows.length ?? null,
+      counts: journal?.countByStatus() ?? {},
+      logs: logs.length,
+      compressed: logs.length > 0 && logs.every(file => file.endsWith('.gz')),
+      bytes: await SyncLogService.getSize(dir)
+    };
+  }
+
+  async listBatches() {
+    const batches = [];
+    for (const entry of await this.listBatchDirs()) {
+      batches.push(await this.describeBatch(entry));
+    }
+    return batches;
+  }
+
+  /**
+   * Resolve a batch argument: unix timestamp, directory path or "latest"
+   */
+  async resolveBatch(batch) {
+    if (batch === 'latest') {
+      const batches = await this.listBatchDirs();
+      if (batches.length === 0) {
+        throw new Error(`No batches found in: ${this.logDir}`);
+      }
+      return batches[batches.length - 1].dir;
+    }
+
+    const dir = /^\d+$/.test(batch) && !await fs.pathExists(batch) ? path.join(this.logDir, batch) : batch;
+    if (!await fs.pathExists(dir) || !(await fs.stat(dir)).isDirectory()) {
+      throw new Error(`Batch directory not found: ${dir}`);
+    }
+    return dir;
+  }
+
+  /**
+   * Log files of one account in a batch, oldest attempt first
+   *
+   * The account is matched against the source and destination users of the
+   * journal rows; without a journal, against the log file names.
+   */
+  async findAccountLogs(dir, account) {
+    const wanted = account.trim().toLowerCase();
+    const files = await SyncLogService.getLogFiles(dir);
+    const journal = await SyncJournal.load(dir).catch(() => null);
+
+    let prefixes;
+    let journalLogs = [];
+    if (journal) {
+      const rows = journal.rows.filter(row => [row.src_user, row.dst_user, row.key]
+        .some(value => String(value || '').toLowerCase() === wanted));
+      if (rows.length > 1) {
+        throw new Error(`"${account}" matches ${rows.length} rows, use the full row key:\n${rows.map(row => `  ${row.key}`).join('\n')}`);
+      }
+      prefixes = rows.map(row => `${row.src_user.replace(/@/g, '_')}__to__${row.dst_user.replace(/@/g, '_')}_`);
+      journalLogs = rows.filter(row => row.logFile).map(row => path.basename(row.logFile));
+    } else {
+      const sanitized = wanted.replace(/@/g, '_');
+      prefixes = [...new Set(files
+        .map(file => path.basename(file).match(/^(.+?)__to__(.+)_\d{4}-\d\d-\d\dT[\d-]+Z\.log(\.gz)?$/))
+        .filter(match => match && [match[1], match[2]].some(user => user.toLowerCase() === sanitized))
+        .map(match => `${match[1]}__to__${match[2]}_`))];
+      if (prefixes.length > 1) {
+        throw new Error(`"${account}" matches ${prefixes.length} accounts: ${prefixes.map(prefix => prefix.slice(0, -1)).join(', ')}`);
+      }
+    }
+
+    const matches = files.filter(file => prefixes.some(prefix => path.basename(file).startsWith(prefix)) ||
+      journalLogs.some(name => [name, `${name}.gz`].includes(path.basename(file))));
+    if (matches.length === 0) {
+      throw new Error(`No log for "${account}" in: ${dir}`);
+    }
+    return matches;
+  }
+
+  /**
+   * Whole content of a log, gzipped or not
+   */
+  static async readLog(file) {
+    const content = await fs.readFile(file);
+    return (file.endsWith('.gz') ? gunzipSync(content) : content).toString('utf8');
+  }
+
+  /**
+   * The last lines of a log
+   */
+  static async tailLines(file, count) {
+    const toLines = content => {
+      const lines = content.split(/\r?\n/);
+      if (lines[lines.length - 1] === '') {
+        lines.pop();
+      }
+      return lines;
+    };
+    if (file.endsWith('.gz')) {
+      return toLines(await SyncLogService.readLog(file)).slice(-count);
+    }
+
+    // Read a growing chunk from the end until it holds more lines than asked for (the first may be cut off)
+    const { size } = await fs.stat(file);
+    for (let bytes = 16 * 1024; ; bytes *= 4) {
+      const lines = toLines(await SyncStatsService.readTail(file, bytes));
+      if (bytes >= size || lines.length > count) {
+        return lines.slice(-count);
+      }
+    }
+  }
+
+  /**
+   * Pass new content of a growing log to onData until the signal aborts
+   */
+  static async follow(file, onData, signal) {
+    let offset = (await fs.stat(file)).size;
+    while (!signal.aborted) {
+      await UtilService.sleep(SyncLogService.FOLLOW_INTERVAL_MS, signal);
+      const { size } = await fs.stat(file).catch(() => ({ size: offset }));
+      if (size < offset) {
+        // Truncated or replaced: start over
+        offset = 0;
+      }
+      if (size > offset) {
+        const buffer = Buffer.alloc(size - offset);
+        const fd = await fs.open(file, 'r');
+        try {
+          await fs.read(fd, buffer, 0, buffer.length, offset);
+        } finally {
+          await fs.close(fd);
+        }
+        offset = size;
+        onData(buffer.toString('utf8'));
+      }
+    }
+  }
+
+  /**
+   * Search every account log of a batch line by line; resolves with the number of matching lines
+   */
+  static async grep(dir, regex, onMatch) {
+    let count = 0;
+    for (const file of await SyncLogService.getLogFiles(dir)) {
+      const stream = createReadStream(file);
+      const input = file.endsWith('.gz') ? stream.pipe(createGunzip()) : stream;
+      const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+      let number = 0;
+      for await (const text of lines) {
+        number++;
+        if (regex.test(text)) {
+          count++;
+          onMatch({ file, line: number, text });
+        }
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Gzip every plain account log of a batch in place; resolves with the bytes saved
+   */
+  static async compressBatch(dir) {
+    let saved = 0;
+    for (const file of await SyncLogService.getLogFiles(dir)) {
+      if (file.endsWith('.gz')) {
+        continue;
+      }
+      const before = (await fs.stat(file)).size;
+      await pipeline(createReadStream(file), createGzip(), createWriteStream(`${file}.gz`));
+      await fs.remove(file);
+      saved += before - (await fs.stat(`${file}.gz`)).size;
+    }
+    return saved;
+  }
+
+  /**
+   * Batches whose last activity is before the cutoff, with what prune does to them
+   */
+  async findExpired(before, { compress = false } = {}) {
+    const batches = (await this.listBatches()).filter(batch => batch.lastActivity < before);
+    return batches
+      .filter(batch => !(compress && batch.compressed))
+      .map(batch => ({ ...batch, action: compress ? 'compress' : 'delete' }));
+  }
+
+  /**
+   * Delete or compress expired batches; resolves with the batches handled
+   */
+  async prune(batches, onBatch = () => {}) {
+    for (const batch of batches) {
+      if (batch.action === 'compress') {
+        batch.savedBytes = await SyncLogService.compressBatch(batch.dir);
+      } else {
+        await fs.remove(batch.dir);
+        batch.savedBytes = batch.bytes;
+      }
+      onBatch(batch);
+    }
+    return batches;
+  }
+}
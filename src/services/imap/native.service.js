@@ -0,0 +1,282 @@
+import { ImapFlow } from 'imapflow';
+import { FolderMapper } from './folders.service.js';
+
+/**
+ * Native IMAP copy engine, used instead of spawning imapsync
+ */
+export class NativeSyncService {
+  /**
+   * Largest message copied, matching the --maxsize passed to imapsync
+   */
+  static MAX_MESSAGE_SIZE = 100_000_000;
+
+  /**
+   * Create an ImapFlow client that never throws unhandled 'error' events
+   */
+  createClient(connection) {
+    const client = new ImapFlow({ ...connection, logger: false });
+    client.on('error', () => {
+      // Connection errors surface through the pending command instead
+    });
+    return client;
+  }
+
+  /**
+   * Key used to detect messages already present on the destination
+   */
+  static messageKey(message) {
+    const messageId = message.envelope?.messageId;
+    if (messageId) {
+      return messageId;
+    }
+    const date = message.internalDate ? new Date(message.internalDate).getTime() : 0;
+    return `${date}:${message.size}`;
+  }
+
+  /**
+   * Format statistics the same way imapsync ends its log
+   */
+  static formatStatistics(stats) {
+    const line = (label, value) => `${label.padEnd(40)}: ${value}`;
+    const seconds = ((stats.endedAt - stats.startedAt) / 1000).toFixed(1);
+
+    return [
+      '++++ Statistics',
+      line('Transfer started on', stats.startedAt.toISOString()),
+      line('Transfer ended on', stats.endedAt.toISOString()),
+      line('Transfer time', `${seconds} sec`),
+      line('Folders synced', `${stats.foldersSynced}/${stats.foldersTotal} synced`),
+      line('Messages transferred', stats.transferred),
+      line('Messages skipped', stats.skipped),
+      line('Total bytes transferred', `${stats.bytes} (${(stats.bytes / 1024).toFixed(3)} KiB)`),
+      `Detected ${stats.errors} errors`
+    ];
+  }
+
+  /**
+   * Collect keys of all messages in a destination folder
+   */
+  async getExistingKeys(client, folderPath) {
+    const keys = new Set();
+    const lock = await client.getMailboxLock(folderPath);
+    try {
+      if (client.mailbox.exists > 0) {
+        for await (const message of client.fetch('1:*', { envelope: true, size: true, internalDate: true })) {
+          keys.add(NativeSyncService.messageKey(message));
+        }
+      }
+    } finally {
+      lock.release();
+    }
+    return keys;
+  }
+
+  /**
+   * Messages of one folder that still have to be copied to host2
+   */
+  async listPending(host1, host2, folder, targetPath, stats, options) {
+    const { log } = options;
+
+    // Shared by folders mapped to the same target, which are all listed before anything is copied
+    if (!options.knownKeys.has(targetPath)) {
+      options.knownKeys.set(targetPath, options.targetExists ? await this.getExistingKeys(host2, targetPath) : new Set());
+    }
+    const existingKeys = options.knownKeys.get(targetPath);
+
+    const lock = await host1.getMailboxLock(folder.path, { readOnly: true });
+    try {
+      // Narrow the folder down to the date window first (SINCE/BEFORE match INTERNALDATE)
+      let range = host1.mailbox.exists > 0 ? '1:*' : null;
+      if (range && (options.since || options.before)) {
+        const query = {};
+        if (options.since) query.since = options.since;
+        if (options.before) query.before = options.before;
+        const matches = await host1.search(query);
+        range = matches && matches.length > 0 ? matches : null;
+      }
+
+      const pending = [];
+      if (range) {
+        for await (const message of host1.fetch(range, { uid: true, envelope: true, size: true, internalDate: true, flags: true })) {
+          if (existingKeys.has(NativeSyncService.messageKey(message))) {
+            stats.skipped++;
+          } else if (message.size > NativeSyncService.MAX_MESSAGE_SIZE) {
+            log(`msg ${folder.path}/${message.uid} {${message.size}} skipped: larger than ${NativeSyncService.MAX_MESSAGE_SIZE} bytes`);
+            stats.skipped++;
+          } else {
+            existingKeys.add(NativeSyncService.messageKey(message));
+            // Only what the copy needs, so a large account does not keep every envelope around
+            const { uid, size, flags, internalDate } = message;
+            pending.push({ uid, size, flags, internalDate });
+          }
+        }
+      }
+
+      log(`++++ ${folder.path} -> ${targetPath}: ${pending.length} to copy, ${host1.mailbox.exists - pending.length} already there, skipped or outside the date window`);
+      return pending;
+    } finally {
+      lock.release();
+    }
+  }
+
+  /**
+   * Copy the pending messages of one folder from host1 to host2
+   *
+   * progress counts the messages of the whole account, so "msgs left" matches
+   * imapsync's account-wide figure.
+   */
+  async syncFolder(host1, host2, folder, targetPath, pending, stats, options) {
+    const { log, progress } = options;
+    if (pending.length === 0) {
+      return;
+    }
+
+    const lock = await host1.getMailboxLock(folder.path, { readOnly: true });
+    try {
+      for (const message of pending) {
+        // Held here while --window-pause keeps the row paused
+        await options.waitWhilePaused?.();
+        if (options.signal?.aborted) {
+          throw new Error('Interrupted');
+        }
+        progress.done++;
+        const left = `${progress.total - progress.done}/${progress.total} msgs left`;
+
+        if (options.dryRun) {
+          log(`msg ${folder.path}/${message.uid} {${message.size}} copied to ${targetPath} (dry mode)  ${left}`);
+          stats.transferred++;
+          continue;
+        }
+
+        try {
+          const { source } = await host1.fetchOne(message.uid, { source: true }, { uid: true });
+          const flags = [...(message.flags || [])].filter(flag => flag !== '\\Recent');
+          const result = await host2.append(targetPath, source, flags, message.internalDate);
+          log(`msg ${folder.path}/${message.uid} {${message.size}} copied to ${targetPath}/${result?.uid ?? '?'}  ${left}`);
+          stats.transferred++;
+          stats.bytes += source.length;
+        } catch (error) {
+          log(`Err msg ${folder.path}/${message.uid}: ${error.message}`);
+          stats.errors++;
+        }
+      }
+    } finally {
+      lock.release();
+    }
+  }
+
+  /**
+   * Synchronize every folder of one account
+   *
+   * Resolves with the statistics, rejects when any error was detected.
+   */
+  async syncAccount(source, destination, options = {}) {
+    const log = options.log || (() => {});
+    const folderMapper = options.folderMapper || new FolderMapper({}, options);
+    const stats = {
+      startedAt: new Date(),
+      endedAt: null,
+      foldersTotal: 0,
+      foldersSynced: 0,
+      transferred: 0,
+      skipped: 0,
+      errors: 0,
+      bytes: 0
+    };
+
+    const host1 = this.createClient(source);
+    const host2 = this.createClient(destination);
+    let fatalError = null;
+
+    // Aborting drops both connections, so a pending command fails right away
+    const onAbort = () => {
+      host1.close();
+      host2.close();
+    };
+    options.signal?.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      log(`Host1: connecting to ${source.host}:${source.port} as ${source.auth.user}`);
+      await host1.connect();
+      log(`Host2: connecting to ${destination.host}:${destination.port} as ${destination.auth.user}`);
+      await host2.connect();
+
+      const folders = (await host1.list())
+        .filter(folder => !folder.flags?.has('\\Noselect'))
+        .filter(folder => folderMapper.isIncluded(folder.path));
+      const destinationFolders = await host2.list();
+      const existingFolders = new Set(destinationFolders.map(folder => folder.path));
+      stats.foldersTotal = folders.length;
+
+      // Look at every folder first, so progress has a total for the whole account
+      const plans = [];
+      const knownKeys = new Map();
+      for (const folder of folders) {
+        if (options.signal?.aborted) {
+          throw new Error('Interrupted');
+        }
+        const targetPath = folderMapper.translate(folder, host1, host2, destinationFolders);
+        const targetExists = existingFolders.has(targetPath) || targetPath === 'INBOX';
+        const plan = { folder, targetPath, targetExists, pending: [] };
+        if (!options.justFolders) {
+          try {
+            plan.pending = await this.listPending(host1, host2, folder, targetPath, stats, { ...options, log, targetExists, knownKeys });
+          } catch (error) {
+            log(`Err folder ${folder.path}: ${error.message}`);
+            stats.errors++;
+            continue;
+          }
+        }
+        plans.push(plan);
+      }
+      const progress = { done: 0, total: plans.reduce((sum, plan) => sum + plan.pending.length, 0) };
+
+      for (const [index, { folder, targetPath, targetExists, pending }] of plans.entries()) {
+        if (options.signal?.aborted) {
+          throw new Error('Interrupted');
+        }
+        log(`Folder ${String(index + 1).padStart(4)}/${plans.length} [${folder.path}] -> [${targetPath}]`);
+
+        const doneBefore = progress.done;
+        try {
+          if (!targetExists) {
+            log(`Creating folder [${targetPath}] on host2${options.dryRun ? ' (dry mode)' : ''}`);
+            if (!options.dryRun) {
+              await host2.mailboxCreate(targetPath);
+            }
+          }
+
+          await this.syncFolder(host1, host2, folder, targetPath, pending, stats, { ...options, log, progress });
+          stats.foldersSynced++;
+        } catch (error) {
+          log(`Err folder ${folder.path}: ${error.message}`);
+          stats.errors++;
+          // Whatever this folder did not copy is no longer left to do
+          progress.total -= pending.length - (progress.done - doneBefore);
+        }
+      }
+    } catch (error) {
+      // ImapFlow keeps the server's reply (e.g. for a failed LOGIN) apart from the generic message
+      const message = error.responseText ? `${error.message}: ${error.responseText}` : error.message;
+      log(`Err ${message}`);
+      stats.errors++;
+      fatalError = Object.assign(new Error(message), {
+        authenticationFailed: error.authenticationFailed,
+        code: error.code
+      });
+    } finally {
+      options.signal?.removeEventListener('abort', onAbort);
+      stats.endedAt = new Date();
+      NativeSyncService.formatStatistics(stats).forEach(line => log(line));
+      await Promise.allSettled([host1.logout(), host2.logout()]);
+    }
+
+    if (fatalError) {
+      throw fatalError;
+    }
+    if (stats.errors > 0) {
+      throw new Error(`Detected ${stats.errors} errors`);
+    }
+    return stats;
+  }
+}
@@ -0,0 +1,170 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+
+/**
+ * Fetches and refreshes OAuth2 access tokens for XOAUTH2 logins
+ *
+ * A src_oauth/dst_oauth CSV cell points to a JSON file in one of these shapes:
+ *
+ * - Refresh token:      { "client_id", "client_secret", "refresh_token", "token_endpoint" }
+ * - Client credentials: { "client_id", "client_secret", "scope", "token_endpoint", "grant_type": "client_credentials" }
+ * - Google service account key: { "type": "service_account", "client_email", "private_key", "token_uri" }
+ *   (impersonates the row's user through domain-wide delegation)
+ *
+ * "access_token" and "expires_at" (unix seconds) are written back after a refresh, so
+ * several rows sharing one file do not refresh it over and over.
+ */
+export class OAuthTokenService {
+  static GOOGLE_MAIL_SCOPE = 'https://mail.google.com/';
+
+  /**
+   * Tokens expiring sooner than this are refreshed before use
+   */
+  static EXPIRY_MARGIN_SECONDS = 120;
+
+  constructor(options = {}) {
+    this.tokenEndpoint = options.tokenEndpoint || null;
+    this.timeout = options.timeout || 15000;
+    this.pending = new Map();
+  }
+
+  static base64url(value) {
+    return Buffer.from(value).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+  }
+
+  /**
+   * Build a signed JWT bearer assertion for a service account
+   */
+  static buildServiceAccountAssertion(credentials, user, endpoint, now = Math.floor(Date.now() / 1000)) {
+    const header = OAuthTokenService.base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT' }));
+    const claims = OAuthTokenService.base64url(JSON.stringify({
+      iss: credentials.client_email,
+      scope: credentials.scope || OAuthTokenService.GOOGLE_MAIL_SCOPE,
+      aud: endpoint,
+      sub: user,
+      iat: now,
+      exp: now + 3600
+    }));
+
+    const signature = crypto.createSign('RSA-SHA256').update(`${header}.${claims}`).sign(credentials.private_key);
+    return `${header}.${claims}.${OAuthTokenService.base64url(signature)}`;
+  }
+
+  /**
+   * Refreshes in progress per credentials file, shared by every instance (overlapping watch cycles)
+   */
+  static fileLocks = new Map();
+
+  /**
+   * Run task after every earlier task for the same file has finished
+   */
+  static withFileLock(file, task) {
+    const key = path.resolve(file);
+    const run = (OAuthTokenService.fileLocks.get(key) || Promise.resolve()).catch(() => {}).then(task);
+    OAuthTokenService.fileLocks.set(key, run);
+    return run.finally(() => {
+      if (OAuthTokenService.fileLocks.get(key) === run) {
+        OAuthTokenService.fileLocks.delete(key);
+      }
+    });
+  }
+
+  static async readCredentials(file) {
+    if (!await fs.pathExists(file)) {
+      throw new Error(`OAuth token file not found: ${file}`);
+    }
+    return fs.readJson(file);
+  }
+
+  /**
+   * Get a valid access token for a user from a token/service-account file
+   *
+   * Refresh-token and client-credentials files hold one token for every row using them, so
+   * they are refreshed once per file, one refresh after the other: a rotated refresh_token
+   * is never overwritten by a refresh that started from the old one. Service account tokens
+   * are per impersonated user.
+   */
+  async getAccessToken(file, user) {
+    const isServiceAccount = (await OAuthTokenService.readCredentials(file)).type === 'service_account';
+    const cacheKey = isServiceAccount ? `${file}|${user}` : file;
+    if (!this.pending.has(cacheKey)) {
+      const fetch = isServiceAccount
+        ? this.fetchAccessToken(file, user)
+        : OAuthTokenService.withFileLock(file, () => this.fetchAccessToken(file, user));
+      const request = fetch.finally(() => this.pending.delete(cacheKey));
+      this.pending.set(cacheKey, request);
+    }
+    return this.pending.get(cacheKey);
+  }
+
+  async fetchAccessToken(file, user) {
+    const credentials = await OAuthTokenService.readCredentials(file);
+    const isServiceAccount = credentials.type === 'service_account';
+    const now = Math.floor(Date.now() / 1000);
+
+    // Service account tokens are per impersonated user, so they are never cached in the file
+    if (!isServiceAccount && credentials.access_token &&
+      (!credentials.expires_at || credentials.expires_at - OAuthTokenService.EXPIRY_MARGIN_SECONDS > now) &&
+      (credentials.expires_at || !credentials.refresh_token)) {
+      return credentials.access_token;
+    }
+
+    const endpoint = credentials.token_endpoint || credentials.token_uri || this.tokenEndpoint;
+    if (!endpoint) {
+      throw new Error(`No token endpoint in ${file} (set "token_endpoint" or use --token-endpoint)`);
+    }
+
+    const params = new URLSearchParams();
+    if (isServiceAccount) {
+      params.set('grant_type', 'urn:ietf:params:oauth:grant-type:jwt-bearer');
+      params.set('assertion', OAuthTokenService.buildServiceAccountAssertion(credentials, user, endpoint, now));
+    } else if (credentials.refresh_token) {
+      params.set('grant_type', 'refresh_token');
+      params.set('refresh_token', credentials.refresh_token);
+      params.set('client_id', credentials.client_id);
+      if (credentials.client_secret) params.set('client_secret', credentials.client_secret);
+      if (credentials.scope) params.set('scope', credentials.scope);
+    } else if (credentials.grant_type === 'client_credentials') {
+      params.set('grant_type', 'client_credentials');
+      params.set('client_id', credentials.client_id);
+      params.set('client_secret', credentials.client_secret);
+      if (credentials.scope) params.set('scope', credentials.scope);
+    } else {
+      throw new Error(`${file} has no refresh_token, client credentials or service account key`);
+    }
+
+    let response;
+    try {
+      response = await axios.post(endpoint, params.toString(), {
+        timeout: this.timeout,
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+      });
+    } catch (error) {
+      const detail = error.response?.data?.error_description || error.response?.data?.error || error.message;
+      const failure = new Error(`Token request to ${endpoint} failed: ${detail}`);
+      // A rejected grant (revoked refresh token, wrong client secret) will not fix itself on retry
+      failure.authenticationFailed = [400, 401, 403].includes(error.response?.status);
+      failure.responseText = detail;
+      throw failure;
+    }
+
+    const { access_token: accessToken, expires_in: expiresIn, refresh_token: refreshToken } = response.data || {};
+    if (!accessToken) {
+      throw new Error(`Token endpoint ${endpoint} returned no access_token`);
+    }
+
+    if (!isServiceAccount) {
+      credentials.access_token = accessToken;
+      credentials.expires_at = now + (parseInt(expiresIn, 10) || 3600);
+      // Some providers rotate refresh tokens on every use
+      if (refreshToken) {
+        credentials.refresh_token = refreshToken;
+      }
+      await fs.writeJson(file, credentials, { spaces: 2 });
+    }
+
+    return accessToken;
+  }
+}
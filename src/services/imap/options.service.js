@@ -0,0 +1,116 @@
+/**
+ * Extra imapsync options from the extra_opts column, --common-opts or the config file
+ *
+ * Values are split like a POSIX shell would (quotes and backslashes), so an option
+ * value may contain spaces: --regexflag 's/\\$Label1//' --exclude "^Old Mail".
+ */
+export class ImapsyncOptions {
+  /**
+   * Options that delete mail or folders; they need --allow-dangerous or a confirmation
+   */
+  static DANGEROUS_OPTIONS = [
+    'delete', 'delete1', 'delete2', 'delete2folders', 'delete2foldersonly', 'delete2foldersbutnot',
+    'delete2duplicates', 'delete1emptyfolders', 'expunge1', 'expunge2'
+  ];
+
+  /**
+   * Options emoo sets itself (hosts, logins, secrets, logging)
+   */
+  static RESERVED_OPTIONS = [
+    'host1', 'host2', 'user1', 'user2', 'password1', 'password2', 'passfile1', 'passfile2',
+    'oauthaccesstoken1', 'oauthaccesstoken2', 'logfile', 'nolog'
+  ];
+
+  /**
+   * Split a string into arguments with shell-style quoting
+   */
+  static parse(value, label = 'options') {
+    const args = [];
+    let current = '';
+    let hasArg = false;
+    let quote = null;
+    const text = String(value ?? '');
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quote === "'") {
+        if (char === "'") {
+          quote = null;
+        } else {
+          current += char;
+        }
+      } else if (quote === '"') {
+        if (char === '"') {
+          quote = null;
+        } else if (char === '\\' && i + 1 < text.length && '"\\$`'.includes(text[i + 1])) {
+          current += text[++i];
+        } else {
+          current += char;
+        }
+      } else if (char === "'" || char === '"') {
+        quote = char;
+        hasArg = true;
+      } else if (char === '\\') {
+        if (i + 1 < text.length) {
+          current += text[++i];
+          hasArg = true;
+        }
+      } else if (/\s/.test(char)) {
+        if (hasArg) {
+          args.push(current);
+          current = '';
+          hasArg = false;
+        }
+      } else {
+        current += char;
+        hasArg = true;
+      }
+    }
+
+    if (quote) {
+      throw new Error(`${label}: unterminated ${quote === '"' ? 'double' : 'single'} quote`);
+    }
+    if (hasArg) {
+      args.push(current);
+    }
+    return args;
+  }
+
+  /**
+   * Join arguments back into one string, quoting where the shell would need it
+   */
+  static stringify(args) {
+    return args
+      .map(arg => (/^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, `'\\''`)}'`))
+      .join(' ');
+  }
+
+  /**
+   * Option name of an argument ("--delete2=1" -> "delete2"), or null for a value
+   */
+  static getName(arg) {
+    const match = String(arg).match(/^--?([A-Za-z][\w-]*)/);
+    return match ? match[1].toLowerCase() : null;
+  }
+
+  static findDangerous(args) {
+    return args.filter(arg => ImapsyncOptions.DANGEROUS_OPTIONS.includes(ImapsyncOptions.getName(arg)));
+  }
+
+  static findReserved(args) {
+    return args.filter(arg => ImapsyncOptions.RESERVED_OPTIONS.includes(ImapsyncOptions.getName(arg)));
+  }
+
+  /**
+   * Parse and check options; reserved options are an error
+   */
+  static validate(value, label) {
+    const args = ImapsyncOptions.parse(value, label);
+    const reserved = ImapsyncOptions.findReserved(args);
+    if (reserved.length > 0) {
+      throw new Error(`${label}: ${reserved.join(', ')} cannot be set here, emoo sets it from the row`);
+    }
+    return args;
+  }
+}
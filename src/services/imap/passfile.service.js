@@ -0,0 +1,77 @@
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+// Private directories of every store, removed when the process exits
+const liveDirs = new Set();
+let exitHookInstalled = false;
+
+/**
+ * Temporary 0600 files holding passwords and access tokens for imapsync
+ *
+ * imapsync reads them through --passfile1/--passfile2 (and --oauthaccesstoken1/2),
+ * so secrets never appear on a process command line or in `docker inspect`.
+ * Files live in a private 0700 directory under the system temp dir.
+ */
+export class PassfileStore {
+  constructor() {
+    this.dir = null;
+    this.count = 0;
+  }
+
+  /**
+   * Remove every store's directory right away (safe to call from exit and signal handlers)
+   */
+  static cleanupAllSync() {
+    for (const dir of liveDirs) {
+      try {
+        fs.removeSync(dir);
+      } catch {
+        // Nothing more can be done while exiting
+      }
+    }
+    liveDirs.clear();
+  }
+
+  async ensureDir() {
+    if (this.dir) {
+      return this.dir;
+    }
+
+    // mkdtemp creates the directory with mode 0700
+    this.dir = await fs.mkdtemp(path.join(os.tmpdir(), 'emoo-'));
+    liveDirs.add(this.dir);
+
+    if (!exitHookInstalled) {
+      exitHookInstalled = true;
+      process.once('exit', PassfileStore.cleanupAllSync);
+    }
+    return this.dir;
+  }
+
+  /**
+   * Write a secret to a new 0600 file and return its path
+   */
+  async write(secret) {
+    const dir = await this.ensureDir();
+    const file = path.join(dir, `secret-${++this.count}`);
+    await fs.writeFile(file, `${secret ?? ''}\n`, { mode: 0o600 });
+    return file;
+  }
+
+  async remove(files) {
+    await Promise.all(files.filter(Boolean).map(file => fs.remove(file)));
+  }
+
+  /**
+   * Remove the store's directory and everything left in it
+   */
+  async cleanup() {
+    if (!this.dir) {
+      return;
+    }
+    await fs.remove(this.dir);
+    liveDirs.delete(this.dir);
+    this.dir = null;
+  }
+}
@@ -0,0 +1,280 @@
+import chalk from 'chalk';
+import { createObjectCsvWriter } from 'csv-writer';
+import fs from 'fs-extra';
+import { Listr } from 'listr2';
+import path from 'path';
+import { FolderMapper } from './folders.service.js';
+import { SyncJournal } from './journal.service.js';
+import { SyncProgress } from './progress.service.js';
+import { SyncRow } from './row.service.js';
+import { HostScheduler } from './scheduler.service.js';
+import { SyncStatsService } from './stats.service.js';
+import { SyncVerifyService } from './verify.service.js';
+
+/**
+ * Migration size estimate and ETA (emoo sync plan)
+ *
+ * Every source account is measured (messages and bytes per included folder). The
+ * duration of each account comes from the throughput earlier batches reached
+ * against the same source host (or against any host), and the accounts are played
+ * through the same --parallel and per-host limits as a real sync.
+ */
+export class SyncPlanService {
+  /**
+   * Used when there is no history and no --throughput (bytes per second)
+   */
+  static DEFAULT_THROUGHPUT = 1024 * 1024;
+
+  /**
+   * Rows that moved less than this are mostly connection overhead and say little about throughput
+   */
+  static MIN_SAMPLE_BYTES = 1024 * 1024;
+
+  static CSV_HEADER = [
+    { id: 'line', title: 'line' },
+    { id: 'account', title: 'account' },
+    { id: 'srcHost', title: 'src_host' },
+    { id: 'folders', title: 'folders' },
+    { id: 'messages', title: 'messages' },
+    { id: 'bytes', title: 'bytes' },
+    { id: 'throughput', title: 'throughput_bytes_per_sec' },
+    { id: 'throughputSource', title: 'throughput_source' },
+    { id: 'duration', title: 'est_duration_sec' },
+    { id: 'start', title: 'est_start_sec' },
+    { id: 'end', title: 'est_end_sec' },
+    { id: 'error', title: 'error' }
+  ];
+
+  constructor(imapService, options = {}) {
+    this.imapService = imapService;
+    this.reader = new SyncVerifyService(imapService, { timeout: options.timeout });
+    this.throughput = options.throughput ? parseFloat(options.throughput) * 1024 * 1024 : null;
+    if (this.throughput !== null && !(this.throughput > 0)) {
+      throw new Error(`Invalid throughput "${options.throughput}" (MiB/s, e.g. 2.5)`);
+    }
+    this.scheduler = new HostScheduler(options);
+  }
+
+  /**
+   * Throughput (bytes per second of one job) reached by earlier batches, overall and per source host
+   */
+  static async loadThroughput(logDir) {
+    const totals = { bytes: 0, duration: 0, samples: 0 };
+    const hosts = new Map();
+
+    for (const { dir } of await SyncJournal.listBatches(logDir)) {
+      const journal = await SyncJournal.load(dir);
+      for (const row of journal.rows.filter(item => item.status === 'success')) {
+        const stats = await SyncStatsService.parseLogFile(row.logFile);
+        if (!stats.found || !(stats.duration > 0) || stats.bytes < SyncPlanService.MIN_SAMPLE_BYTES) {
+          continue;
+        }
+
+        const host = (row.src_host || '').toLowerCase();
+        const entry = hosts.get(host) || { bytes: 0, duration: 0, samples: 0 };
+        for (const target of [totals, entry]) {
+          target.bytes += stats.bytes;
+          target.duration += stats.duration;
+          target.samples++;
+        }
+        hosts.set(host, entry);
+      }
+    }
+
+    const rate = entry => (entry.duration > 0 ? entry.bytes / entry.duration : null);
+    return {
+      overall: rate(totals),
+      samples: totals.samples,
+      hosts: new Map([...hosts].map(([host, entry]) => [host, { rate: rate(entry), samples: entry.samples }]))
+    };
+  }
+
+  /**
+   * Throughput for one source host: --throughput, then the host's history, then all history
+   */
+  pickThroughput(srcHost, history) {
+    if (this.throughput) {
+      return { throughput: this.throughput, throughputSource: 'flag' };
+    }
+    const host = history.hosts.get((srcHost || '').toLowerCase());
+    if (host?.rate) {
+      return { throughput: host.rate, throughputSource: `host history (${host.samples} row(s))` };
+    }
+    if (history.overall) {
+      return { throughput: history.overall, throughputSource: `history (${history.samples} row(s))` };
+    }
+    return { throughput: SyncPlanService.DEFAULT_THROUGHPUT, throughputSource: 'assumed' };
+  }
+
+  /**
+   * Count the messages and bytes of every included source folder of a row
+   */
+  async measureRow(config) {
+    const result = {
+      line: SyncRow.getLineNumber(config),
+      account: `${config.src_user} (${config.src_host}) -> ${config.dst_user} (${config.dst_host})`,
+      srcHost: config.src_host,
+      config,
+      folderSizes: [],
+      folders: 0,
+      messages: 0,
+      bytes: 0,
+      error: null
+    };
+
+    let client = null;
+    try {
+      const resolved = await this.imapService.resolveCredentials(config, ['src']);
+      client = await this.reader.connect(resolved, 'src');
+
+      const folderMapper = new FolderMapper(config);
+      const folders = (await client.list())
+        .filter(folder => !folder.flags?.has('\\Noselect'))
+        .filter(folder => folderMapper.isIncluded(folder.path));
+
+      for (const folder of folders) {
+        const { messages, bytes } = await this.reader.readFolder(client, folder.path);
+        result.folderSizes.push({ folder: folder.path, messages, bytes });
+        result.messages += messages;
+        result.bytes += bytes;
+      }
+      result.folders = folders.length;
+    } catch (error) {
+      result.error = error.responseText ? `${error.message}: ${error.responseText}` : error.message;
+    } finally {
+      await client?.logout().catch(() => {});
+    }
+
+    return result;
+  }
+
+  /**
+   * Measure every row concurrently; resolves with one result per row
+   */
+  async measureAll(configs, options = {}) {
+    const jobs = parseInt(options.jobs, 10) || 4;
+    const results = [];
+
+    const tasks = configs.map((config, index) => ({
+      title: `${config.src_user} (${config.src_host})`,
+      task: async (ctx, task) => {
+        const result = await this.measureRow(config);
+        results[index] = result;
+
+        if (result.error) {
+          task.title = `❌ ${task.title} (${result.error})`;
+        } else {
+          task.title = `✅ ${task.title} (${result.folders} folder(s), ${result.messages} msgs, ${SyncStatsService.formatBytes(result.bytes)})`;
+        }
+      }
+    }));
+
+    const taskList = new Listr(tasks, {
+      concurrent: jobs,
+      exitOnError: false,
+      rendererOptions: {
+        collapseErrors: false
+      }
+    });
+    await taskList.run();
+
+    return results;
+  }
+
+  /**
+   * Turn measurements and throughput history into per-account estimates and totals
+   */
+  buildPlan(results, history) {
+    const accounts = results.map(({ config, ...result }) => {
+      if (result.error) {
+        return { ...result, config, throughput: null, throughputSource: null, duration: null, start: null, end: null };
+      }
+      const { throughput, throughputSource } = this.pickThroughput(result.srcHost, history);
+      return {
+        ...result,
+        config,
+        throughput: Math.round(throughput),
+        throughputSource,
+        duration: Math.round(result.bytes / throughput)
+      };
+    });
+
+    const duration = this.scheduler.simulate(accounts.filter(account => !account.error));
+    const sum = field => accounts.reduce((total, account) => total + (account[field] || 0), 0);
+
+    return {
+      generatedAt: new Date().toISOString(),
+      limits: {
+        parallel: this.scheduler.jobs,
+        maxPerSrcHost: this.scheduler.maxPerSrcHost,
+        maxPerDstHost: this.scheduler.maxPerDstHost,
+        hostLimits: this.scheduler.hostLimits
+      },
+      accounts: accounts.map(({ config, ...account }) => account),
+      totals: {
+        accounts: accounts.length,
+        measured: accounts.filter(account => !account.error).length,
+        failed: accounts.filter(account => account.error).length,
+        folders: sum('folders'),
+        messages: sum('messages'),
+        bytes: sum('bytes'),
+        // Sum of every account's duration, i.e. the time with one job
+        sequentialDuration: sum('duration'),
+        duration,
+        estimatedEnd: new Date(Date.now() + duration * 1000).toISOString()
+      }
+    };
+  }
+
+  /**
+   * Print the plan as a table with the overall estimate
+   */
+  printPlan(plan) {
+    console.log(chalk.green('\n=== Migration Plan ==='));
+    for (const account of plan.accounts) {
+      if (account.error) {
+        console.log(chalk.red(`Line ${account.line ?? '?'}: ${account.account}: ${account.error}`));
+        continue;
+      }
+      console.log(`Line ${account.line ?? '?'}: ${account.account}: ${account.messages} msgs, ${SyncStatsService.formatBytes(account.bytes)}, ~${SyncProgress.formatDuration(account.duration)} at ${SyncStatsService.formatBytes(account.throughput)}/s (${account.throughputSource})`);
+    }
+
+    const { totals, limits } = plan;
+    console.log(chalk.green(`\nAccounts: ${totals.measured}/${totals.accounts} measured`));
+    if (totals.failed > 0) {
+      console.log(chalk.red(`Could not measure: ${totals.failed} (not included in the estimate)`));
+    }
+    console.log(chalk.green(`Total: ${totals.messages} messages in ${totals.folders} folders, ${SyncStatsService.formatBytes(totals.bytes)}`));
+    console.log(chalk.green(`Estimated duration: ${SyncProgress.formatDuration(totals.duration)} with ${limits.parallel} parallel job(s) (${SyncProgress.formatDuration(totals.sequentialDuration)} with one)`));
+    console.log(chalk.green(`Estimated end if started now: ${new Date(totals.estimatedEnd).toLocaleString()}`));
+  }
+
+  /**
+   * Write the plan as CSV (one row per account plus a TOTAL row) or JSON (with per-folder sizes)
+   */
+  async writePlan(plan, file, format) {
+    await fs.ensureDir(path.dirname(file));
+
+    if (format === 'json') {
+      await fs.writeJson(file, plan, { spaces: 2 });
+      return file;
+    }
+
+    const { totals } = plan;
+    const csvWriter = createObjectCsvWriter({ path: file, header: SyncPlanService.CSV_HEADER });
+    await csvWriter.writeRecords([
+      ...plan.accounts.map(account => ({ ...account, line: account.line ?? '' })),
+      {
+        line: '',
+        account: 'TOTAL',
+        folders: totals.folders,
+        messages: totals.messages,
+        bytes: totals.bytes,
+        duration: totals.duration,
+        start: 0,
+        end: totals.duration
+      }
+    ]);
+    return file;
+  }
+}
@@ -0,0 +1,164 @@
+import chalk from 'chalk';
+import { ImapFlow } from 'imapflow';
+import { Listr } from 'listr2';
+import { SyncRow } from './row.service.js';
+
+/**
+ * Pre-flight login check of both sides of every sync row
+ */
+export class PreflightService {
+  constructor(imapService, options = {}) {
+    this.imapService = imapService;
+    this.timeout = (parseInt(options.timeout, 10) || 20) * 1000;
+  }
+
+  /**
+   * Turn a connection or login error into a short reason
+   */
+  static describeError(error) {
+    if (error.authenticationFailed) {
+      return `Authentication failed${error.responseText ? `: ${error.responseText}` : ''}`;
+    }
+    if (error.code === 'ENOTFOUND' || error.code === 'EAI_AGAIN') {
+      return `Host not found (${error.code})`;
+    }
+    if (error.code === 'ECONNREFUSED') {
+      return 'Connection refused';
+    }
+    if (error.code === 'ETIMEDOUT' || error.code === 'CONNECT_TIMEOUT' || error.code === 'GREETING_TIMEOUT') {
+      return `Connection timed out (${error.code})`;
+    }
+    if (error.responseText) {
+      return `${error.message}: ${error.responseText}`;
+    }
+    return error.code ? `${error.message} (${error.code})` : error.message;
+  }
+
+  /**
+   * Connect, negotiate TLS/STARTTLS, read CAPABILITY and log in to one side of a row
+   */
+  async checkSide(config, side) {
+    const connection = SyncRow.buildNativeConnection(config, side);
+    const result = {
+      side,
+      host: `${connection.host}:${connection.port}`,
+      user: connection.auth.user,
+      ok: false,
+      tls: null,
+      capabilities: [],
+      error: null
+    };
+
+    let client = null;
+    try {
+      if (!connection.host || !connection.auth.user) {
+        throw new Error(`Missing ${side}_host or ${side}_user`);
+      }
+
+      // Fetch the OAuth access token (if any) so XOAUTH2 is checked like a real run
+      const { auth } = SyncRow.buildNativeConnection(await this.imapService.resolveCredentials(config, [side]), side);
+      client = new ImapFlow({
+        ...connection,
+        auth,
+        logger: false,
+        connectionTimeout: this.timeout,
+        greetingTimeout: this.timeout
+      });
+      client.on('error', () => {
+        // Reported through connect() instead
+      });
+
+      await client.connect();
+      result.ok = true;
+      result.tls = connection.secure ? 'TLS' : (client.secureConnection ? 'STARTTLS' : 'none');
+      result.capabilities = [...client.capabilities.keys()];
+    } catch (error) {
+      result.error = PreflightService.describeError(error);
+    } finally {
+      if (client) {
+        await client.logout().catch(() => client.close());
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Check every row concurrently; resolves with one result per row
+   */
+  async checkAll(configs, options = {}) {
+    const jobs = parseInt(options.jobs, 10) || 4;
+    const results = [];
+
+    const tasks = configs.map((config, index) => ({
+      title: `${config.src_user} (${config.src_host}) -> ${config.dst_user} (${config.dst_host})`,
+      task: async (ctx, task) => {
+        const [src, dst] = await Promise.all([
+          this.checkSide(config, 'src'),
+          this.checkSide(config, 'dst')
+        ]);
+        const ok = src.ok && dst.ok;
+        results[index] = { line: SyncRow.getLineNumber(config), config, ok, src, dst };
+
+        const tls = `src: ${src.tls || '-'}, dst: ${dst.tls || '-'}`;
+        if (ok) {
+          task.title = `✅ ${task.title} (${tls})`;
+        } else {
+          const reasons = [src, dst].filter(item => !item.ok).map(item => `${item.side}: ${item.error}`);
+          task.title = `❌ ${task.title} (${reasons.join('; ')})`;
+        }
+      }
+    }));
+
+    const taskList = new Listr(tasks, {
+      concurrent: jobs,
+      exitOnError: false,
+      rendererOptions: {
+        collapseErrors: false
+      }
+    });
+    await taskList.run();
+
+    return results;
+  }
+
+  /**
+   * Print the rows that would fail and why
+   */
+  printFailures(results) {
+    const failures = results.filter(result => !result.ok);
+    const passed = results.length - failures.length;
+
+    console.log(chalk.green('\n=== Pre-flight Check ==='));
+    console.log(chalk.green(`Passed: ${passed}`));
+    console.log((failures.length > 0 ? chalk.red : chalk.green)(`Failed: ${failures.length}`));
+
+    if (failures.length === 0) {
+      return;
+    }
+
+    const rows = [];
+    for (const failure of failures) {
+      for (const side of [failure.src, failure.dst].filter(item => !item.ok)) {
+        rows.push([`${failure.line ?? '?'}`, side.side, side.host, side.user || '', side.error]);
+      }
+    }
+
+    const header = ['Line', 'Side', 'Host', 'User', 'Reason'];
+    const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+    const format = (row) => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+
+    console.log('');
+    console.log(chalk.bold(format(header)));
+    rows.forEach(row => console.log(chalk.red(format(row))));
+  }
+
+  /**
+   * Write a CSV containing only the rows that passed, with their original columns
+   */
+  async writePassingCsv(results, outputFile) {
+    const columns = SyncRow.getOriginalColumns(results.map(result => result.config));
+    const passing = results.filter(result => result.ok).map(result => SyncRow.getOriginal(result.config));
+    return this.imapService.writeCsvFile(passing, outputFile, columns);
+  }
+}
@@ -0,0 +1,146 @@
+/**
+ * Tracks sync progress by parsing imapsync (or native engine) output as it arrives
+ */
+export class SyncProgress {
+  constructor() {
+    this.buffer = '';
+    this.startedAt = Date.now();
+    this.state = {
+      folder: null,
+      folderIndex: null,
+      folderCount: null,
+      copied: 0,
+      left: null,
+      total: null,
+      etaSeconds: null
+    };
+  }
+
+  /**
+   * Format seconds as a short human readable duration
+   */
+  static formatDuration(seconds) {
+    const value = Math.max(0, Math.round(seconds));
+    const hours = Math.floor(value / 3600);
+    const minutes = Math.floor((value % 3600) / 60);
+    const secs = value % 60;
+
+    if (hours > 0) {
+      return `${hours}h ${minutes}m`;
+    }
+    if (minutes > 0) {
+      return `${minutes}m ${secs}s`;
+    }
+    return `${secs}s`;
+  }
+
+  /**
+   * Feed a chunk of output; returns true when the progress changed
+   */
+  feed(chunk) {
+    this.buffer += chunk.toString();
+    const lines = this.buffer.split(/\r?\n/);
+    this.buffer = lines.pop();
+
+    let changed = false;
+    for (const line of lines) {
+      changed = this.parseLine(line) || changed;
+    }
+    return changed;
+  }
+
+  /**
+   * Parse a single output line; returns true when it carried progress information
+   */
+  parseLine(line) {
+    const { state } = this;
+
+    // Folder    3/12 [INBOX.Sent]      -> [Sent]
+    const folderMatch = line.match(/^Folder\s+(\d+)\/(\d+)\s+\[([^\]]*)\]/);
+    if (folderMatch) {
+      state.folderIndex = parseInt(folderMatch[1], 10);
+      state.folderCount = parseInt(folderMatch[2], 10);
+      state.folder = folderMatch[3];
+      return true;
+    }
+
+    // Host1 Nb messages: 1234 messages
+    const totalMatch = line.match(/^Host1 Nb messages:\s+(\d+)/);
+    if (totalMatch) {
+      state.total = parseInt(totalMatch[1], 10);
+      return true;
+    }
+
+    // msg INBOX/12 {3456} copied to INBOX/7  1.2 msgs/s ... ETA: <date>  120 s  88/100 msgs left
+    if (/^msg\s+\S+\s+\{\d+\}\s+copied to/.test(line)) {
+      state.copied++;
+
+      const leftMatch = line.match(/(\d+)\/(\d+)\s+msgs left/);
+      if (leftMatch) {
+        state.left = parseInt(leftMatch[1], 10);
+        state.total = parseInt(leftMatch[2], 10);
+      }
+
+      const etaMatch = line.match(/ETA:.*?(\d+)\s+s\s+\d+\/\d+\s+msgs left/);
+      if (etaMatch) {
+        state.etaSeconds = parseInt(etaMatch[1], 10);
+      } else {
+        state.etaSeconds = this.estimateEta();
+      }
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Estimate the remaining time from the copy rate so far
+   */
+  estimateEta() {
+    const { copied, left } = this.state;
+    const done = this.getDone();
+    const remaining = left !== null ? left : (this.state.total !== null ? this.state.total - done : null);
+    if (remaining === null || copied === 0) {
+      return null;
+    }
+    const elapsed = (Date.now() - this.startedAt) / 1000;
+    return (elapsed / copied) * remaining;
+  }
+
+  /**
+   * Messages handled so far
+   */
+  getDone() {
+    const { copied, left, total } = this.state;
+    if (left !== null && total !== null) {
+      return total - left;
+    }
+    return copied;
+  }
+
+  /**
+   * One-line progress text for a listr2 task output
+   */
+  format() {
+    const { folder, folderIndex, folderCount, total, etaSeconds } = this.state;
+    const parts = [];
+
+    if (folder !== null) {
+      parts.push(folderCount ? `📂 [${folderIndex}/${folderCount}] ${folder}` : `📂 ${folder}`);
+    }
+
+    const done = this.getDone();
+    if (total !== null) {
+      const percent = total > 0 ? Math.floor((done / total) * 100) : 100;
+      parts.push(`${done}/${total} msgs (${percent}%)`);
+    } else if (done > 0) {
+      parts.push(`${done} msgs`);
+    }
+
+    if (etaSeconds !== null) {
+      parts.push(`ETA ${SyncProgress.formatDuration(etaSeconds)}`);
+    }
+
+    return parts.length > 0 ? parts.join(' · ') : 'Connecting...';
+  }
+}
@@ -0,0 +1,151 @@
+import { ConfigService } from '../shared/config.service.js';
+import { SyncJobFile } from './job.service.js';
+import { ImapsyncOptions } from './options.service.js';
+
+/**
+ * Provider presets for the src_provider/dst_provider columns (and --src-provider/--dst-provider)
+ *
+ * A preset fills in the host, port, TLS mode, separator and prefix of its side, plus
+ * row settings and imapsync options that depend on the side (--gmail1 vs --gmail2).
+ * Only empty cells are filled, so explicit CSV values win. More presets can be added,
+ * or built-in ones changed, in the config file:
+ *
+ *   { "sync": { "providers": { "mycorp": { "extends": "cpanel", "host": "mail.mycorp.com" } } } }
+ */
+export class ProviderPresets {
+  /**
+   * Top-level preset keys, each filling the <side>_<key> column
+   */
+  static SIDE_FIELDS = ['host', 'port', 'ssl', 'auth', 'sep', 'prefix'];
+
+  static BUILT_IN = {
+    gmail: {
+      label: 'Gmail / Google Workspace',
+      host: 'imap.gmail.com', port: 993, ssl: true,
+      // Important and Starred only repeat messages that live in other folders
+      src: { exclude_folders: '^\\[Gmail\\]/Important$;^\\[Gmail\\]/Starred$', imapsync: '--gmail1' },
+      dst: { imapsync: '--gmail2' }
+    },
+    office365: {
+      label: 'Microsoft 365 / Exchange Online',
+      host: 'outlook.office365.com', port: 993, ssl: true,
+      src: { imapsync: '--office1' },
+      dst: { imapsync: '--office2' }
+    },
+    exchange: {
+      label: 'Exchange on premises',
+      port: 993, ssl: true,
+      src: { imapsync: '--exchange1' },
+      dst: { imapsync: '--exchange2' }
+    },
+    yahoo: { label: 'Yahoo Mail', host: 'imap.mail.yahoo.com', port: 993, ssl: true },
+    icloud: { label: 'iCloud Mail', host: 'imap.mail.me.com', port: 993, ssl: true },
+    fastmail: { label: 'Fastmail', host: 'imap.fastmail.com', port: 993, ssl: true },
+    zoho: { label: 'Zoho Mail', host: 'imap.zoho.com', port: 993, ssl: true },
+    dovecot: { label: 'Dovecot (Maildir)', port: 993, ssl: true, sep: '.' },
+    cpanel: { label: 'cPanel (Dovecot, INBOX. namespace)', port: 993, ssl: true, sep: '.', prefix: 'INBOX.' },
+    courier: { label: 'Courier IMAP', port: 993, ssl: true, sep: '.', prefix: 'INBOX.' }
+  };
+
+  /**
+   * Presets loaded by load(), the built-in ones until then
+   */
+  static presets = ProviderPresets.BUILT_IN;
+
+  /**
+   * Read the built-in presets merged with sync.providers from the config file
+   */
+  static async load() {
+    const custom = await ConfigService.get('sync.providers', {});
+    if (typeof custom !== 'object' || custom === null || Array.isArray(custom)) {
+      throw new Error('sync.providers in the config file must be a mapping of preset names');
+    }
+
+    const presets = { ...ProviderPresets.BUILT_IN };
+    for (const [name, preset] of Object.entries(custom)) {
+      presets[name.toLowerCase()] = preset;
+    }
+    ProviderPresets.presets = presets;
+    return presets;
+  }
+
+  static getNames() {
+    return Object.keys(ProviderPresets.presets);
+  }
+
+  /**
+   * A preset by name with its "extends" chain resolved; null when there is no such preset
+   */
+  static get(name, seen = []) {
+    const key = String(name || '').trim().toLowerCase();
+    const preset = ProviderPresets.presets[key];
+    if (!preset) {
+      return null;
+    }
+    if (seen.includes(key)) {
+      throw new Error(`Provider preset "${key}" extends itself (${[...seen, key].join(' -> ')})`);
+    }
+    if (!preset.extends) {
+      return preset;
+    }
+
+    const base = ProviderPresets.get(preset.extends, [...seen, key]);
+    if (!base) {
+      throw new Error(`Provider preset "${key}" extends unknown preset "${preset.extends}"`);
+    }
+    const { extends: _, ...own } = preset;
+    return {
+      ...base,
+      ...own,
+      src: { ...base.src, ...own.src },
+      dst: { ...base.dst, ...own.dst }
+    };
+  }
+
+  /**
+   * Provider name of one side of a row
+   */
+  static getProvider(config, side) {
+    return (config[`${side}_provider`] ?? '').trim();
+  }
+
+  /**
+   * Fill the empty cells of a row from its presets; rows with unknown providers are left for lint
+   */
+  static apply(config, defaults = {}) {
+    for (const side of ['src', 'dst']) {
+      if (!ProviderPresets.getProvider(config, side) && defaults[side]) {
+        config[`${side}_provider`] = defaults[side];
+      }
+
+      const preset = ProviderPresets.get(ProviderPresets.getProvider(config, side));
+      if (!preset) {
+        continue;
+      }
+
+      const values = Object.fromEntries(ProviderPresets.SIDE_FIELDS
+        .filter(field => preset[field] !== undefined)
+        .map(field => [`${side}_${field}`, preset[field]]));
+      const { imapsync: _, ...rowValues } = preset[side] || {};
+
+      for (const [column, value] of Object.entries({ ...values, ...rowValues })) {
+        if ((config[column] ?? '') === '') {
+          config[column] = SyncJobFile.toCell(value);
+        }
+      }
+    }
+    return config;
+  }
+
+  /**
+   * imapsync options the presets of a row ask for (before --common-opts and extra_opts)
+   */
+  static getImapsyncArgs(config) {
+    return ['src', 'dst'].flatMap(side => {
+      const preset = ProviderPresets.get(ProviderPresets.getProvider(config, side));
+      return preset?.[side]?.imapsync
+        ? ImapsyncOptions.validate(preset[side].imapsync, `${side}_provider ${ProviderPresets.getProvider(config, side)}`)
+        : [];
+    });
+  }
+}
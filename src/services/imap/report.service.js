@@ -0,0 +1,352 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { SyncJournal } from './journal.service.js';
+import { SyncProgress } from './progress.service.js';
+import { SyncStatsService } from './stats.service.js';
+
+/**
+ * Self-contained HTML report of a sync batch (emoo sync report)
+ *
+ * Built from the batch directory: journal.json for status and timing, the account
+ * logs for statistics and error excerpts. Charts are inline SVG, so the file has
+ * no external resources and can be mailed to a client as is.
+ */
+export class SyncReportService {
+  static FILE_NAME = 'report.html';
+
+  /**
+   * Lines of a failed account's log shown in the report
+   */
+  static EXCERPT_LINES = 15;
+
+  static EXCERPT_TAIL_BYTES = 16 * 1024;
+
+  /**
+   * Log lines that look like the reason a row failed
+   */
+  static ERROR_PATTERN = /\b(error|err\b|fail(ed|ure)?|denied|refused|timed? ?out|unable|cannot|NO \[|BAD)\b/i;
+
+  static TIMELINE_POINTS = 60;
+
+  /**
+   * Accounts shown in the per-account throughput chart (the table lists all of them)
+   */
+  static CHART_ACCOUNTS = 50;
+
+  static STATUS_COLORS = {
+    success: '#2e7d32',
+    failed: '#c62828',
+    interrupted: '#ef6c00',
+    running: '#1565c0',
+    pending: '#757575',
+    'dry-run': '#6a1b9a'
+  };
+
+  /**
+   * Interesting lines from the end of a log: lines that mention an error, else the last lines
+   */
+  static async getExcerpt(logFile) {
+    const { size } = await fs.stat(logFile).catch(() => ({ size: 0 }));
+    const lines = (await SyncStatsService.readTail(logFile, SyncReportService.EXCERPT_TAIL_BYTES))
+      .split(/\r?\n/)
+      .map(line => line.trimEnd())
+      .filter(Boolean);
+    // A partial read starts in the middle of a line
+    if (size > SyncReportService.EXCERPT_TAIL_BYTES) {
+      lines.shift();
+    }
+
+    const errors = lines.filter(line => SyncReportService.ERROR_PATTERN.test(line));
+    return (errors.length > 0 ? errors : lines).slice(-SyncReportService.EXCERPT_LINES);
+  }
+
+  /**
+   * Collect everything the report shows for a batch directory
+   */
+  async build(batchDir) {
+    const journal = await SyncJournal.load(batchDir);
+    const stats = await new SyncStatsService().buildBatchReport(journal);
+    const rows = new Map(journal.rows.map(row => [row.key, row]));
+
+    const accounts = await Promise.all(stats.accounts.map(async account => {
+      const row = rows.get(account.key) || {};
+      const start = account.startedAt ? Date.parse(account.startedAt) : null;
+      const end = account.endedAt ? Date.parse(account.endedAt) : null;
+      const wallSeconds = start && end ? Math.max(0, (end - start) / 1000) : null;
+      const rateSeconds = account.duration || wallSeconds;
+      const troubled = ['failed', 'interrupted'].includes(account.status) || account.errors > 0;
+
+      return {
+        ...account,
+        src_host: row.src_host,
+        dst_host: row.dst_host,
+        attempts: row.attempts ?? null,
+        error: row.error ?? null,
+        start,
+        end,
+        wallSeconds,
+        rate: account.bytes && rateSeconds ? account.bytes / rateSeconds : null,
+        excerpt: troubled && account.logFile ? await SyncReportService.getExcerpt(account.logFile) : []
+      };
+    }));
+
+    const starts = accounts.map(account => account.start).filter(Boolean);
+    const ends = accounts.map(account => account.end).filter(Boolean);
+
+    return {
+      batch: journal.batch,
+      csv: journal.csv,
+      createdAt: journal.data.createdAt,
+      updatedAt: journal.data.updatedAt,
+      generatedAt: new Date().toISOString(),
+      counts: journal.countByStatus(),
+      totals: stats.totals,
+      wallSeconds: starts.length > 0 && ends.length > 0 ? (Math.max(...ends) - Math.min(...starts)) / 1000 : null,
+      accounts,
+      timeline: SyncReportService.buildTimeline(accounts, journal.data.updatedAt)
+    };
+  }
+
+  /**
+   * Throughput and running accounts over the batch; each account's bytes are spread evenly over its run
+   */
+  static buildTimeline(accounts, updatedAt) {
+    const runs = accounts
+      .filter(account => account.start)
+      .map(account => ({
+        start: account.start,
+        end: Math.max(account.end || Date.parse(updatedAt) || account.start, account.start + 1000),
+        bytes: account.bytes || 0
+      }));
+    if (runs.length === 0) {
+      return [];
+    }
+
+    const first = Math.min(...runs.map(run => run.start));
+    const last = Math.max(...runs.map(run => run.end));
+    const step = Math.max(1000, (last - first) / SyncReportService.TIMELINE_POINTS);
+    const points = [];
+
+    for (let time = first; time < last; time += step) {
+      const bucketEnd = Math.min(time + step, last);
+      let bytes = 0;
+      let running = 0;
+      for (const run of runs) {
+        const overlap = Math.min(run.end, bucketEnd) - Math.max(run.start, time);
+        if (overlap > 0) {
+          bytes += run.bytes * overlap / (run.end - run.start);
+          running++;
+        }
+      }
+      points.push({ time, rate: bytes / ((bucketEnd - time) / 1000), running });
+    }
+    return points;
+  }
+
+  static escape(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  static formatTime(ms) {
+    if (!ms) {
+      return '';
+    }
+    const date = new Date(ms);
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+  }
+
+  static formatRate(bytesPerSecond) {
+    return bytesPerSecond ? `${SyncStatsService.formatBytes(bytesPerSecond)}/s` : '';
+  }
+
+  /**
+   * A line/area chart of one series of the timeline
+   */
+  static renderTimeChart(points, { value, title, format, color }) {
+    const width = 900;
+    const height = 220;
+    const pad = { left: 80, right: 20, top: 30, bottom: 40 };
+    const plotWidth = width - pad.left - pad.right;
+    const plotHeight = height - pad.top - pad.bottom;
+    const escape = SyncReportService.escape;
+
+    if (points.length === 0) {
+      return `<p class="muted">${escape(title)}: no timing data</p>`;
+    }
+
+    const max = Math.max(...points.map(value), 1e-9);
+    const x = index => pad.left + (points.length === 1 ? 0 : index * plotWidth / (points.length - 1));
+    const y = amount => pad.top + plotHeight - (amount / max) * plotHeight;
+    const line = points.map((point, index) => `${x(index).toFixed(1)},${y(value(point)).toFixed(1)}`).join(' ');
+    const area = `${pad.left},${pad.top + plotHeight} ${line} ${x(points.length - 1).toFixed(1)},${pad.top + plotHeight}`;
+
+    const ticks = [0, 0.25, 0.5, 0.75, 1].map(fraction => {
+      const ty = y(max * fraction).toFixed(1);
+      return `<line x1="${pad.left}" x2="${width - pad.right}" y1="${ty}" y2="${ty}" class="grid"/>` +
+        `<text x="${pad.left - 8}" y="${ty}" class="tick" text-anchor="end" dominant-baseline="middle">${escape(format(max * fraction))}</text>`;
+    }).join('');
+    const labels = [0, Math.floor((points.length - 1) / 2), points.length - 1].map(index =>
+      `<text x="${x(index).toFixed(1)}" y="${height - 12}" class="tick" text-anchor="middle">${escape(SyncReportService.formatTime(points[index].time).slice(11))}</text>`
+    ).join('');
+
+    return `<svg viewBox="0 0 ${width} ${height}" class="chart" role="img" aria-label="${escape(title)}">
+<text x="${pad.left}" y="18" class="chart-title">${escape(title)}</text>
+${ticks}${labels}
+<polygon points="${area}" fill="${color}" fill-opacity="0.2"/>
+<polyline points="${line}" fill="none" stroke="${color}" stroke-width="2"/>
+</svg>`;
+  }
+
+  /**
+   * Horizontal bars of the average throughput of each account
+   */
+  static renderAccountChart(accounts) {
+    const escape = SyncReportService.escape;
+    const withRate = accounts.filter(account => account.rate);
+    if (withRate.length === 0) {
+      return '<p class="muted">Average throughput per account: no statistics in the logs</p>';
+    }
+
+    const shown = [...withRate]
+      .sort((a, b) => (b.bytes || 0) - (a.bytes || 0))
+      .slice(0, SyncReportService.CHART_ACCOUNTS)
+      .sort((a, b) => b.rate - a.rate);
+    const max = Math.max(...shown.map(account => account.rate));
+    const barHeight = 18;
+    const labelWidth = 300;
+    const width = 900;
+    const height = shown.length * (barHeight + 6) + 40;
+
+    const bars = shown.map((account, index) => {
+      const top = 32 + index * (barHeight + 6);
+      const barWidth = Math.max(1, (account.rate / max) * (width - labelWidth - 120));
+      const color = SyncReportService.STATUS_COLORS[account.status] || '#1565c0';
+      return `<text x="${labelWidth - 8}" y="${top + barHeight / 2}" class="tick" text-anchor="end" dominant-baseline="middle">${escape(account.src_user)}</text>` +
+        `<rect x="${labelWidth}" y="${top}" width="${barWidth.toFixed(1)}" height="${barHeight}" fill="${color}" fill-opacity="0.75"/>` +
+        `<text x="${(labelWidth + barWidth + 6).toFixed(1)}" y="${top + barHeight / 2}" class="tick" dominant-baseline="middle">${escape(SyncReportService.formatRate(account.rate))}</text>`;
+    }).join('\n');
+
+    const note = shown.length < withRate.length
+      ? ` (the ${shown.length} largest of ${withRate.length} accounts)`
+      : '';
+    return `<svg viewBox="0 0 ${width} ${height}" class="chart" role="img" aria-label="Average throughput per account">
+<text x="10" y="18" class="chart-title">Average throughput per account${escape(note)}</text>
+${bars}
+</svg>`;
+  }
+
+  /**
+   * The report as one HTML document
+   */
+  render(report) {
+    const escape = SyncReportService.escape;
+    const number = value => (value === null || value === undefined ? '' : Number(value).toLocaleString('en-US'));
+    const duration = seconds => (seconds === null || seconds === undefined ? '' : SyncProgress.formatDuration(seconds));
+    const statusBadge = status => `<span class="badge" style="background:${SyncReportService.STATUS_COLORS[status] || '#757575'}">${escape(status)}</span>`;
+
+    const cards = [
+      ['Accounts', number(report.accounts.length)],
+      ...Object.entries(report.counts).map(([status, count]) => [status, number(count)]),
+      ['Messages transferred', number(report.totals.transferred)],
+      ['Data transferred', SyncStatsService.formatBytes(report.totals.bytes)],
+      ['Elapsed', duration(report.wallSeconds)],
+      ['Average throughput', report.wallSeconds ? SyncReportService.formatRate(report.totals.bytes / report.wallSeconds) : '']
+    ].map(([label, value]) => `<div class="card"><div class="value">${escape(value)}</div><div class="label">${escape(label)}</div></div>`).join('\n');
+
+    const rows = report.accounts.map(account => `<tr>
+<td>${escape(account.src_user)}<div class="muted">${escape(account.src_host)}</div></td>
+<td>${escape(account.dst_user)}<div class="muted">${escape(account.dst_host)}</div></td>
+<td>${statusBadge(account.status)}</td>
+<td>${escape(SyncReportService.formatTime(account.start))}</td>
+<td class="num">${escape(duration(account.wallSeconds))}</td>
+<td class="num">${number(account.transferred)}</td>
+<td class="num">${number(account.skipped)}</td>
+<td class="num">${number(account.errors)}</td>
+<td class="num">${account.bytes === null ? '' : escape(SyncStatsService.formatBytes(account.bytes))}</td>
+<td class="num">${escape(SyncReportService.formatRate(account.rate))}</td>
+<td class="num">${number(account.attempts)}</td>
+</tr>`).join('\n');
+
+    const troubled = report.accounts.filter(account => account.excerpt.length > 0 || account.error);
+    const excerpts = troubled.map(account => `<details${account.status === 'failed' ? ' open' : ''}>
+<summary>${statusBadge(account.status)} ${escape(account.key)}${account.exitCode !== null && account.exitCode !== undefined ? ` <span class="muted">exit code ${escape(account.exitCode)}</span>` : ''}</summary>
+${account.error ? `<p class="error">${escape(account.error)}</p>` : ''}
+${account.excerpt.length > 0 ? `<pre>${escape(account.excerpt.join('\n'))}</pre>` : ''}
+<p class="muted">${escape(account.logFile || 'no log file')}</p>
+</details>`).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Sync report ${escape(report.batch)}</title>
+<style>
+body { font-family: -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; margin: 2rem auto; max-width: 1200px; padding: 0 1rem; color: #212121; }
+h1 { margin-bottom: 0.2rem; }
+h2 { margin-top: 2.5rem; border-bottom: 1px solid #e0e0e0; padding-bottom: 0.3rem; }
+.muted { color: #757575; font-size: 0.85em; }
+.cards { display: flex; flex-wrap: wrap; gap: 0.8rem; margin-top: 1.5rem; }
+.card { border: 1px solid #e0e0e0; border-radius: 6px; padding: 0.8rem 1.2rem; min-width: 120px; }
+.card .value { font-size: 1.4rem; font-weight: 600; }
+.card .label { color: #757575; font-size: 0.85rem; text-transform: capitalize; }
+.chart { width: 100%; height: auto; margin-top: 1rem; }
+.chart .grid { stroke: #eeeeee; }
+.chart .tick { font-size: 11px; fill: #616161; }
+.chart .chart-title { font-size: 13px; font-weight: 600; fill: #212121; }
+table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+th, td { text-align: left; padding: 0.4rem 0.5rem; border-bottom: 1px solid #eeeeee; vertical-align: top; }
+th { background: #fafafa; position: sticky; top: 0; }
+td.num, th.num { text-align: right; white-space: nowrap; }
+.badge { color: #fff; border-radius: 3px; padding: 0.1rem 0.4rem; font-size: 0.8rem; }
+details { border: 1px solid #e0e0e0; border-radius: 6px; padding: 0.5rem 0.8rem; margin: 0.6rem 0; }
+summary { cursor: pointer; }
+pre { background: #263238; color: #eceff1; padding: 0.8rem; border-radius: 4px; overflow-x: auto; font-size: 0.8rem; }
+.error { color: #c62828; }
+</style>
+</head>
+<body>
+<h1>Sync report: batch ${escape(report.batch)}</h1>
+<div class="muted">CSV: ${escape(report.csv || 'unknown')} · started ${escape(SyncReportService.formatTime(Date.parse(report.createdAt)))} · last update ${escape(SyncReportService.formatTime(Date.parse(report.updatedAt)))} · report generated ${escape(SyncReportService.formatTime(Date.parse(report.generatedAt)))}</div>
+
+<div class="cards">
+${cards}
+</div>
+
+<h2>Throughput</h2>
+${SyncReportService.renderTimeChart(report.timeline, { value: point => point.rate, title: 'Throughput over time (all accounts)', format: value => SyncReportService.formatRate(value) || '0', color: '#1565c0' })}
+${SyncReportService.renderTimeChart(report.timeline, { value: point => point.running, title: 'Accounts running', format: value => value.toFixed(1).replace(/\.0$/, ''), color: '#2e7d32' })}
+${SyncReportService.renderAccountChart(report.accounts)}
+<p class="muted">Throughput over time spreads the bytes of every account evenly over its run; per-account figures use the transfer time from the log.</p>
+
+<h2>Accounts</h2>
+<table>
+<thead><tr><th>Source</th><th>Destination</th><th>Status</th><th>Started</th><th class="num">Duration</th><th class="num">Transferred</th><th class="num">Skipped</th><th class="num">Errors</th><th class="num">Bytes</th><th class="num">Throughput</th><th class="num">Attempts</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+
+<h2>Errors</h2>
+${troubled.length > 0 ? excerpts : '<p class="muted">No failed or interrupted accounts, and no errors in the logs.</p>'}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Build and write the report; resolves with the file written
+   */
+  async write(batchDir, output = null) {
+    const report = await this.build(batchDir);
+    const file = output || path.join(batchDir, SyncReportService.FILE_NAME);
+    await fs.ensureDir(path.dirname(file));
+    await fs.writeFile(file, this.render(report));
+    return { file, report };
+  }
+}
@@ -0,0 +1,54 @@
+/**
+ * Decides whether a failed sync row is retried and how long to wait before it
+ */
+export class SyncRetryPolicy {
+  /**
+   * imapsync exit codes that retrying will not fix: TLS failure, authentication
+   * failures (any side, host1, host2) and destination over quota
+   */
+  static PERMANENT_EXIT_CODES = [12, 16, 161, 162, 113];
+
+  static MAX_DELAY_MS = 10 * 60 * 1000;
+
+  constructor(options = {}) {
+    this.retries = Math.max(0, parseInt(options.retries, 10) || 0);
+    this.baseDelay = SyncRetryPolicy.parseDelay(options.retryDelay ?? 30) * 1000;
+  }
+
+  /**
+   * Parse a --retry-delay value in seconds
+   */
+  static parseDelay(value) {
+    const seconds = Number(String(value ?? '').trim() || NaN);
+    if (!Number.isFinite(seconds) || seconds < 0) {
+      throw new Error(`Invalid retry delay "${value}" (use seconds, e.g. 30)`);
+    }
+    return seconds;
+  }
+
+  /**
+   * Whether a failure looks transient
+   */
+  static isTransient({ code = null, error = null }) {
+    if (error) {
+      // Login failures and a missing imapsync/docker binary will fail the same way again
+      return !error.authenticationFailed && error.code !== 'ENOENT';
+    }
+    return !SyncRetryPolicy.PERMANENT_EXIT_CODES.includes(code);
+  }
+
+  /**
+   * Whether another attempt should follow the given (1-based) attempt
+   */
+  shouldRetry(attempt, failure) {
+    return attempt <= this.retries && SyncRetryPolicy.isTransient(failure);
+  }
+
+  /**
+   * Exponential backoff with a little jitter: base, 2x base, 4x base, ...
+   */
+  getDelay(attempt) {
+    const delay = Math.min(SyncRetryPolicy.MAX_DELAY_MS, this.baseDelay * 2 ** (attempt - 1));
+    return Math.round(delay * (0.9 + Math.random() * 0.2));
+  }
+}
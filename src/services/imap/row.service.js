@@ -0,0 +1,107 @@
+// CSV line number of every parsed configuration row
+const rowLineNumbers = new WeakMap();
+
+// Row as read from the file, for configurations with presets (or discovered servers) filled in
+const rowOriginals = new WeakMap();
+
+/**
+ * Helpers for single configuration rows, shared by the sync service and the
+ * services it uses (pre-flight, lint, verify, plan, discovery)
+ *
+ * Deliberately free of imports, so any service can use it without a cycle
+ * back into sync.service.js.
+ */
+export class SyncRow {
+  /**
+   * Helper function to parse boolean values
+   */
+  static toBool(value) {
+    return value === '1' || value === 'true' || value === 'TRUE';
+  }
+
+  /**
+   * Helper function to detect empty or commented CSV rows
+   */
+  static isSkippedRow(config) {
+    const host = (config.src_host ?? '').trim();
+    if (host) {
+      return host.startsWith('#');
+    }
+    // Without a host the row only counts if a provider preset or autodiscovery can fill it in
+    return !(config.src_user ?? '').trim() && !(config.src_provider ?? '').trim();
+  }
+
+  /**
+   * Helper function to get the CSV line a configuration was read from
+   */
+  static getLineNumber(config) {
+    return rowLineNumbers.get(config) ?? null;
+  }
+
+  static setLineNumber(config, line) {
+    rowLineNumbers.set(config, line);
+  }
+
+  /**
+   * Helper function to get the row a configuration was built from, as written in the file
+   *
+   * Re-runnable CSVs (failed.csv, check --output) are written from it, so filled-in
+   * values and columns do not end up in the next run's input.
+   */
+  static getOriginal(config) {
+    return rowOriginals.get(config) ?? config;
+  }
+
+  /**
+   * Copy of a row to fill in, remembering the row and its line number
+   */
+  static copy(config) {
+    const copy = { ...config };
+    rowOriginals.set(copy, SyncRow.getOriginal(config));
+    if (rowLineNumbers.has(config)) {
+      rowLineNumbers.set(copy, rowLineNumbers.get(config));
+    }
+    return copy;
+  }
+
+  /**
+   * Columns of the rows as written in the file, in order of first appearance
+   */
+  static getOriginalColumns(configs) {
+    return [...new Set(configs.flatMap(config => Object.keys(SyncRow.getOriginal(config))))];
+  }
+
+  /**
+   * Build ImapFlow connection options for one side ('src' or 'dst') of a configuration
+   */
+  static buildNativeConnection(config, side) {
+    const host = config[`${side}_host`];
+    const ssl = SyncRow.toBool(config[`${side}_ssl`] || '');
+    const port = parseInt(config[`${side}_port`], 10) || (ssl ? 993 : 143);
+    const authMech = (config[`${side}_auth`] || '').toUpperCase();
+
+    const auth = {
+      user: config[`${side}_user`],
+      pass: config[`${side}_pass`]
+    };
+    if (config[`${side}_access_token`]) {
+      // ImapFlow switches to AUTHENTICATE XOAUTH2 when given an access token
+      auth.accessToken = config[`${side}_access_token`];
+      delete auth.pass;
+    } else if (authMech === 'LOGIN') {
+      // imapsync's LOGIN means the plain IMAP LOGIN command, anything else is a SASL mechanism
+      auth.loginMethod = 'LOGIN';
+    } else if (authMech) {
+      auth.loginMethod = `AUTH=${authMech}`;
+    }
+
+    return {
+      host,
+      port,
+      secure: ssl,
+      auth,
+      // Certificates are checked unless the row opts out for self-signed or mismatched ones
+      tls: { rejectUnauthorized: !SyncRow.toBool(config[`${side}_tls_insecure`] || '') }
+    };
+  }
+}
@@ -0,0 +1,170 @@
+import fs from 'fs-extra';
+
+/**
+ * Hands out sync slots under a global job limit and per-host limits
+ *
+ * Rows wait in CSV order, but whenever a slot frees up the first waiting row
+ * whose hosts all have room is started, so one busy host does not hold up rows
+ * for other hosts.
+ */
+export class HostScheduler {
+  constructor(options = {}) {
+    this.jobs = parseInt(options.jobs, 10) || 1;
+    this.maxPerSrcHost = parseInt(options.maxPerSrcHost, 10) || null;
+    this.maxPerDstHost = parseInt(options.maxPerDstHost, 10) || null;
+    this.hostLimits = options.hostLimits || {};
+    this.counts = new Map();
+    this.waiting = [];
+    this.cancelled = false;
+  }
+
+  /**
+   * Whether any per-host limit is configured
+   */
+  static isNeeded(options = {}) {
+    return Boolean(options.maxPerSrcHost || options.maxPerDstHost || options.hostLimits);
+  }
+
+  /**
+   * Read a host limits file: { "mail.old.com": 2, "imap.example.net": 4 }
+   */
+  static async loadHostLimits(file) {
+    if (!await fs.pathExists(file)) {
+      throw new Error(`Host limits file not found: ${file}`);
+    }
+
+    const limits = {};
+    for (const [host, limit] of Object.entries(await fs.readJson(file))) {
+      if (!Number.isInteger(limit) || limit < 1) {
+        throw new Error(`Invalid limit for ${host} in ${file}: expected a positive integer`);
+      }
+      limits[host.toLowerCase()] = limit;
+    }
+    return limits;
+  }
+
+  /**
+   * Slots a row needs, each with its limit
+   */
+  getConstraints(config) {
+    const srcHost = (config.src_host || '').toLowerCase();
+    const dstHost = (config.dst_host || '').toLowerCase();
+    const constraints = [{ key: '*', label: 'parallel jobs', limit: this.jobs }];
+
+    if (this.maxPerSrcHost) {
+      constraints.push({ key: `src:${srcHost}`, label: `source host ${srcHost}`, limit: this.maxPerSrcHost });
+    }
+    if (this.maxPerDstHost) {
+      constraints.push({ key: `dst:${dstHost}`, label: `destination host ${dstHost}`, limit: this.maxPerDstHost });
+    }
+    for (const host of new Set([srcHost, dstHost])) {
+      const limit = this.hostLimits[host];
+      if (limit) {
+        constraints.push({ key: `host:${host}`, label: `host ${host}`, limit });
+      }
+    }
+
+    return constraints;
+  }
+
+  /**
+   * First constraint without a free slot, or null when the row can start
+   */
+  getBlockingConstraint(constraints) {
+    return constraints.find(({ key, limit }) => (this.counts.get(key) || 0) >= limit) || null;
+  }
+
+  /**
+   * Wait for a slot; resolves with a release function
+   *
+   * onWait is called with the blocking constraint's label while the row waits.
+   */
+  acquire(config, onWait = null) {
+    const constraints = this.getConstraints(config);
+    if (this.cancelled) {
+      return Promise.resolve(() => {});
+    }
+
+    return new Promise((resolve) => {
+      this.waiting.push({ constraints, resolve, onWait });
+      this.pump();
+    });
+  }
+
+  /**
+   * Let every waiting row go without a slot (used when the batch is stopping)
+   */
+  cancel() {
+    this.cancelled = true;
+    this.waiting.splice(0).forEach(waiter => waiter.resolve(() => {}));
+  }
+
+  /**
+   * Play a batch through the same slot rules without running anything
+   *
+   * items are { config, duration } (seconds); resolves each with start and end
+   * times and returns the overall duration.
+   */
+  simulate(items) {
+    const counts = new Map();
+    const fits = constraints => constraints.every(({ key, limit }) => (counts.get(key) || 0) < limit);
+    const take = (constraints, delta) => constraints.forEach(({ key }) => counts.set(key, (counts.get(key) || 0) + delta));
+
+    const waiting = items.map(item => ({ item, constraints: this.getConstraints(item.config) }));
+    const running = [];
+    let time = 0;
+
+    while (waiting.length > 0 || running.length > 0) {
+      for (const entry of [...waiting]) {
+        if (!fits(entry.constraints)) {
+          continue;
+        }
+        waiting.splice(waiting.indexOf(entry), 1);
+        take(entry.constraints, 1);
+        entry.item.start = time;
+        entry.item.end = time + Math.max(0, entry.item.duration || 0);
+        running.push(entry);
+      }
+
+      if (running.length === 0) {
+        break;
+      }
+
+      // Jump to the next row that finishes
+      running.sort((a, b) => a.item.end - b.item.end);
+      const finished = running.shift();
+      time = finished.item.end;
+      take(finished.constraints, -1);
+    }
+
+    return Math.max(0, ...items.map(item => item.end ?? 0));
+  }
+
+  /**
+   * Start every waiting row that fits, in order
+   */
+  pump() {
+    for (const waiter of [...this.waiting]) {
+      const blocking = this.getBlockingConstraint(waiter.constraints);
+      if (blocking) {
+        if (waiter.onWait) {
+          waiter.onWait(blocking.label);
+        }
+        continue;
+      }
+
+      this.waiting.splice(this.waiting.indexOf(waiter), 1);
+      waiter.constraints.forEach(({ key }) => this.counts.set(key, (this.counts.get(key) || 0) + 1));
+
+      let released = false;
+      waiter.resolve(() => {
+        if (released) {
+          return;
+        }
+        released = true;
+        waiter.constraints.forEach(({ key }) => this.counts.set(key, this.counts.get(key) - 1));
+        this.pump();
+      });
+    }
+  }
+}
@@ -0,0 +1,183 @@
+import { createObjectCsvWriter } from 'csv-writer';
+import fs from 'fs-extra';
+import path from 'path';
+import { gunzipSync } from 'zlib';
+
+/**
+ * Reads imapsync (and native engine) logs back into per-account statistics
+ */
+export class SyncStatsService {
+  /**
+   * imapsync prints its statistics at the very end, so only the tail is read
+   */
+  static TAIL_BYTES = 64 * 1024;
+
+  static CSV_HEADER = [
+    { id: 'key', title: 'account' },
+    { id: 'status', title: 'status' },
+    { id: 'exitCode', title: 'exit_code' },
+    { id: 'transferred', title: 'messages_transferred' },
+    { id: 'skipped', title: 'messages_skipped' },
+    { id: 'errors', title: 'errors' },
+    { id: 'bytes', title: 'bytes_transferred' },
+    { id: 'duration', title: 'duration_sec' },
+    { id: 'foldersSynced', title: 'folders_synced' },
+    { id: 'foldersTotal', title: 'folders_total' },
+    { id: 'logFile', title: 'log_file' }
+  ];
+
+  /**
+   * Parse the final "++++ Statistics" block of a log
+   */
+  static parseLog(content) {
+    const stats = {
+      found: false,
+      transferred: null,
+      skipped: null,
+      errors: null,
+      bytes: null,
+      duration: null,
+      foldersSynced: null,
+      foldersTotal: null
+    };
+
+    const fields = {};
+    for (const line of content.split(/\r?\n/)) {
+      const match = line.match(/^([A-Za-z][\w ()/%-]*?)\s+:\s+(.*)$/);
+      if (match) {
+        fields[match[1].trim()] = match[2].trim();
+      }
+      const errorsMatch = line.match(/^Detected (\d+) errors?/);
+      if (errorsMatch) {
+        stats.errors = parseInt(errorsMatch[1], 10);
+      }
+    }
+
+    const toInt = (value) => {
+      const number = parseInt(value, 10);
+      return Number.isNaN(number) ? null : number;
+    };
+
+    if (fields['Messages transferred'] !== undefined) {
+      stats.found = true;
+      stats.transferred = toInt(fields['Messages transferred']);
+      stats.skipped = toInt(fields['Messages skipped']);
+      stats.bytes = toInt(fields['Total bytes transferred']);
+      stats.duration = fields['Transfer time'] !== undefined ? parseFloat(fields['Transfer time']) : null;
+
+      const folders = (fields['Folders synced'] || '').match(/^(\d+)\/(\d+)/);
+      if (folders) {
+        stats.foldersSynced = parseInt(folders[1], 10);
+        stats.foldersTotal = parseInt(folders[2], 10);
+      }
+    }
+
+    return stats;
+  }
+
+  /**
+   * The last bytes of a log file, an empty string when there is none
+   */
+  static async readTail(logFile, bytes = SyncStatsService.TAIL_BYTES) {
+    if (!logFile) {
+      return '';
+    }
+    if (!await fs.pathExists(logFile)) {
+      // Compressed by emoo logs prune --compress
+      return await fs.pathExists(`${logFile}.gz`)
+        ? gunzipSync(await fs.readFile(`${logFile}.gz`)).subarray(-bytes).toString('utf8')
+        : '';
+    }
+
+    const { size } = await fs.stat(logFile);
+    const length = Math.min(size, bytes);
+    const buffer = Buffer.alloc(length);
+    const fd = await fs.open(logFile, 'r');
+    try {
+      await fs.read(fd, buffer, 0, length, size - length);
+    } finally {
+      await fs.close(fd);
+    }
+
+    return buffer.toString('utf8');
+  }
+
+  /**
+   * Read the tail of a log file and parse its statistics
+   */
+  static async parseLogFile(logFile) {
+    return SyncStatsService.parseLog(await SyncStatsService.readTail(logFile));
+  }
+
+  /**
+   * Format a byte count for display
+   */
+  static formatBytes(bytes) {
+    const units = ['B', 'KiB', 'MiB', 'GiB', 'TiB'];
+    let value = bytes || 0;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+      value /= 1024;
+      unit++;
+    }
+    return `${value.toFixed(unit === 0 ? 0 : 2)} ${units[unit]}`;
+  }
+
+  /**
+   * Build per-account statistics and totals for every row of a batch journal
+   */
+  async buildBatchReport(journal) {
+    const accounts = [];
+    for (const row of journal.rows) {
+      const stats = await SyncStatsService.parseLogFile(row.logFile);
+      accounts.push({
+        key: row.key,
+        src_user: row.src_user,
+        dst_user: row.dst_user,
+        status: row.status,
+        exitCode: row.exitCode,
+        startedAt: row.startedAt,
+        endedAt: row.endedAt,
+        logFile: row.logFile,
+        ...stats
+      });
+    }
+
+    const sum = (field) => accounts.reduce((total, account) => total + (account[field] || 0), 0);
+    const totals = {
+      accounts: accounts.length,
+      withStatistics: accounts.filter(account => account.found).length,
+      transferred: sum('transferred'),
+      skipped: sum('skipped'),
+      errors: sum('errors'),
+      bytes: sum('bytes'),
+      duration: Math.round(sum('duration') * 10) / 10,
+      foldersSynced: sum('foldersSynced')
+    };
+
+    return {
+      batch: journal.batch,
+      generatedAt: new Date().toISOString(),
+      accounts,
+      totals
+    };
+  }
+
+  /**
+   * Write summary.json and summary.csv next to the batch logs
+   */
+  async writeBatchReport(batchDir, report) {
+    const jsonFile = path.join(batchDir, 'summary.json');
+    const csvFile = path.join(batchDir, 'summary.csv');
+
+    await fs.writeJson(jsonFile, report, { spaces: 2 });
+
+    const csvWriter = createObjectCsvWriter({
+      path: csvFile,
+      header: SyncStatsService.CSV_HEADER
+    });
+    await csvWriter.writeRecords(report.accounts);
+
+    return { jsonFile, csvFile };
+  }
+}
@@ -1,34 +1,76 @@
 import chalk from 'chalk';
-import { spawn } from 'child_process';
+import { spawn, spawnSync } from 'child_process';
 import csv from 'csv-parser';
+import { createObjectCsvWriter } from 'csv-writer';
 import { createReadStream } from 'fs';
 import fs from 'fs-extra';
 import inquirer from 'inquirer';
 import { Listr } from 'listr2';
 import path from 'path';
+import { ConfigService } from '../shared/config.service.js';
+import { SecretResolver } from '../shared/secret.service.js';
+import { UtilService } from '../shared/util.service.js';
+import { SyncAgeFilter } from './age.service.js';
+import { FolderMapper } from './folders.service.js';
+import { SyncJobFile } from './job.service.js';
+import { SyncJournal } from './journal.service.js';
+import { SyncLintService } from './lint.service.js';
+import { NativeSyncService } from './native.service.js';
+import { OAuthTokenService } from './oauth.service.js';
+import { ImapsyncOptions } from './options.service.js';
+import { ProviderPresets } from './provider.service.js';
+import { PassfileStore } from './passfile.service.js';
+import { PreflightService } from './preflight.service.js';
+import { SyncProgress } from './progress.service.js';
+import { SyncRetryPolicy } from './retry.service.js';
+import { SyncRow } from './row.service.js';
+import { HostScheduler } from './scheduler.service.js';
+import { SyncStatsService } from './stats.service.js';
+import { SyncWindow } from './window.service.js';
 
 /**
  * IMAP synchronization service
  */
 export class ImapService {
-  constructor() {
+  /**
+   * How often paused native engine rows check whether they may continue
+   */
+  static PAUSE_CHECK_MS = 5000;
+
+  constructor(options = {}) {
     this.tasks = null;
+    this.oauthService = new OAuthTokenService({ tokenEndpoint: options.tokenEndpoint });
+    this.secretResolver = new SecretResolver();
+    this.passfiles = new PassfileStore();
+    // Running imapsync processes, with their Docker container name in Docker mode
+    this.children = new Map();
+    this.containerCount = 0;
+    // Set while --window-pause holds running rows; native engine rows wait between messages
+    this.paused = false;
+    // First Ctrl-C stops scheduling (stopController), a second one kills running rows (killController)
+    this.stopping = false;
+    this.killing = false;
+    this.stopController = new AbortController();
+    this.killController = new AbortController();
+    this.scheduler = null;
   }
 
   /**
    * Helper function to parse boolean values
    */
   static toBool(value) {
-    return value === '1' || value === 'true' || value === 'TRUE';
+    return SyncRow.toBool(value);
   }
 
   /**
    * Helper function to redact passwords from command arguments for display
+   *
+   * Values resolved from env:/file:/cmd:/vault: references are redacted wherever they appear.
    */
   static redactPasswords(args) {
-    const redactedArgs = [...args];
+    const redactedArgs = args.map(arg => SecretResolver.redact(arg));
     for (let i = 0; i < redactedArgs.length; i++) {
-      if (redactedArgs[i] === '--password1' || redactedArgs[i] === '--password2') {
+      if (['--password1', '--password2', '--oauthaccesstoken1', '--oauthaccesstoken2'].includes(redactedArgs[i])) {
         if (i + 1 < redactedArgs.length) {
           redactedArgs[i + 1] = '***REDACTED***';
         }
@@ -37,6 +79,40 @@ export class ImapService {
     return redactedArgs;
   }
 
+  /**
+   * Open the vault once up front if any row's password is a vault: reference
+   */
+  async unlockSecrets(configs) {
+    const needsVault = configs.some(config =>
+      SecretResolver.isVaultReference(config.src_pass) || SecretResolver.isVaultReference(config.dst_pass));
+    if (needsVault) {
+      await this.secretResolver.unlockVault();
+    }
+  }
+
+  /**
+   * Resolve per-row credentials just before the row runs
+   *
+   * Returns a copy of the configuration with password references (env:, file:,
+   * cmd:, vault:) replaced by their values and src_access_token/dst_access_token
+   * filled in from the src_oauth/dst_oauth token files, so secrets never end up
+   * in the journal or in exported CSV files.
+   */
+  async resolveCredentials(config, sides = ['src', 'dst']) {
+    const resolved = { ...config };
+
+    for (const side of sides) {
+      resolved[`${side}_pass`] = await this.secretResolver.resolve(config[`${side}_pass`], `${side}_pass`);
+
+      const tokenFile = config[`${side}_oauth`];
+      if (tokenFile) {
+        resolved[`${side}_access_token`] = await this.oauthService.getAccessToken(tokenFile, config[`${side}_user`]);
+      }
+    }
+
+    return resolved;
+  }
+
   /**
    * Check if imapsync is available locally
    */
@@ -51,8 +127,29 @@ export class ImapService {
 
   /**
    * Parse CSV file and return configurations
+   *
+   * YAML/JSON job files (.yaml, .yml, .json) are read into the same row objects.
    */
-  async parseCsvFile(csvFile) {
+  async parseCsvFile(csvFile, options = {}) {
+    const configs = await this.readCsvFile(csvFile);
+    if (options.presets === false) {
+      return configs;
+    }
+
+    // Fill empty cells from src_provider/dst_provider (or --src-provider/--dst-provider)
+    await ProviderPresets.load();
+    const defaults = { src: options.srcProvider, dst: options.dstProvider };
+    // Presets fill a copy, the row as read is kept for re-runnable CSVs
+    return configs.map(config => ProviderPresets.apply(SyncRow.copy(config), defaults));
+  }
+
+  async readCsvFile(csvFile) {
+    if (SyncJobFile.isJobFile(csvFile)) {
+      const rows = await SyncJobFile.load(csvFile);
+      rows.forEach(({ config, line }) => SyncRow.setLineNumber(config, line));
+      return rows.map(({ config }) => config);
+    }
+
     if (!await fs.pathExists(csvFile)) {
       throw new Error(`CSV file not found: ${csvFile}`);
     }
@@ -63,6 +160,8 @@ export class ImapService {
       createReadStream(csvFile)
         .pipe(csv())
         .on('data', (row) => {
+          // Line 1 is the header
+          SyncRow.setLineNumber(row, configs.length + 2);
           configs.push(row);
         })
         .on('error', reject)
@@ -72,6 +171,22 @@ export class ImapService {
     });
   }
 
+  /**
+   * Write configurations back to a CSV file, keeping their original columns
+   */
+  async writeCsvFile(configs, csvFile, columns = null) {
+    const header = columns || [...new Set(configs.flatMap(config => Object.keys(config)))];
+
+    await fs.ensureDir(path.dirname(csvFile));
+    const csvWriter = createObjectCsvWriter({
+      path: csvFile,
+      header: header.map(column => ({ id: column, title: column }))
+    });
+    await csvWriter.writeRecords(configs);
+
+    return configs.length;
+  }
+
   /**
    * Build imapsync command arguments from configuration
    */
@@ -119,26 +234,41 @@ export class ImapService {
     if (dst_port) flags.push('--port2', dst_port);
 
     // Add SSL flags
-    if (src_ssl && ImapService.toBool(src_ssl)) flags.push('--ssl1');
-    if (dst_ssl && ImapService.toBool(dst_ssl)) flags.push('--ssl2');
+    if (src_ssl && SyncRow.toBool(src_ssl)) flags.push('--ssl1');
+    if (dst_ssl && SyncRow.toBool(dst_ssl)) flags.push('--ssl2');
 
     // Add auth mechanisms
     if (src_auth) flags.push('--authmech1', src_auth);
     if (dst_auth) flags.push('--authmech2', dst_auth);
 
-    // Add common options from environment
-    if (process.env.COMMON_OPTS) {
-      const commonOpts = process.env.COMMON_OPTS.split(' ');
-      flags.push(...commonOpts);
-    }
+    // Add per-account folder rules (mapping, include/exclude, regex translation, separators)
+    flags.push(...FolderMapper.toImapsyncArgs(config, options));
+
+    // Add date window (--since/--before, --delta, max_age/min_age columns)
+    flags.push(...SyncAgeFilter.toImapsyncArgs(SyncAgeFilter.resolve(config, options)));
+
+    // Options of the provider presets, for every row (--common-opts, config file or COMMON_OPTS), then the row's own extra_opts
+    flags.push(...ProviderPresets.getImapsyncArgs(config));
+    flags.push(...(options.commonArgs || []));
+    flags.push(...ImapsyncOptions.validate(config.extra_opts, 'extra_opts'));
+
+    // Secrets come from files (options.secretFiles) when given, imapsync reads their first line.
+    // XOAUTH2: imapsync builds the SASL string from the user and access token, the password is ignored
+    const credentialArgs = (side, number, password) => {
+      const file = options.secretFiles?.[side];
+      if (config[`${side}_access_token`]) {
+        return [`--oauthaccesstoken${number}`, file || config[`${side}_access_token`]];
+      }
+      return file ? [`--passfile${number}`, file] : [`--password${number}`, password];
+    };
 
     return [
       '--host1', shost,
       '--user1', suser,
-      '--password1', spass,
+      ...credentialArgs('src', 1, spass),
       '--host2', dhost,
       '--user2', duser,
-      '--password2', dpass,
+      ...credentialArgs('dst', 2, dpass),
       ...flags
     ];
   }
@@ -166,7 +296,7 @@ export class ImapService {
   /**
    * Create a single sync task for listr2
    */
-  createSyncTask(config, options = {}, unixTimestamp = null, syncResults = null) {
+  createSyncTask(config, options = {}, unixTimestamp = null, syncResults = null, journal = null, scheduler = null, syncWindow = null) {
     const {
       src_host: shost,
       src_user: suser,
@@ -175,7 +305,7 @@ export class ImapService {
     } = config;
 
     // Skip empty or commented lines
-    if (!shost || shost.startsWith('#')) {
+    if (SyncRow.isSkippedRow(config)) {
       return null;
     }
 
@@ -185,107 +315,430 @@ export class ImapService {
       title: displayText,
       task: async (ctx, task) => {
         const logDir = options.logDir || './results/sync-log';
-        
-        const logFile = this.generateLogFilePath(config, logDir, unixTimestamp);
-        
-        // Ensure the directory exists (including unix timestamp subdirectory)
-        await fs.ensureDir(path.dirname(logFile));
-
-        const imapsyncArgs = this.buildImapsyncArgs(config, { ...options, logFile });
-
-        return new Promise((resolve, reject) => {
-          let command, args;
-
-          if (options.docker) {
-            command = 'docker';
-            args = [
-              'run', '--rm',
-              '-e', 'IMAPSYNC_DEBUG=0',
-              'gilleslamiral/imapsync',
-              'imapsync',
-              ...imapsyncArgs
-            ];
-          } else {
-            command = 'imapsync';
-            args = imapsyncArgs;
+        const retryPolicy = new SyncRetryPolicy(options);
+
+        let attempt = 0;
+        let logFile, code, runError;
+        let interrupted = false;
+
+        // Run the row, retrying transient failures with exponential backoff
+        while (true) {
+          attempt++;
+
+          let release = null;
+          while (true) {
+            // Outside the maintenance window nothing new starts
+            if (syncWindow) {
+              await syncWindow.waitUntilOpen((remaining) => {
+                task.output = `🌙 Waiting for the maintenance window ${syncWindow.label} (opens in ${SyncProgress.formatDuration(remaining / 1000)})`;
+              }, this.stopController.signal);
+            }
+
+            // Wait until the row's hosts have a free slot (per-host limits)
+            release = scheduler
+              ? await scheduler.acquire(config, (blocking) => {
+                task.output = `⏳ Waiting for a free slot on ${blocking}`;
+              })
+              : null;
+
+            // The window may have closed while waiting for a slot
+            if (this.stopping || !syncWindow || syncWindow.isOpen()) {
+              break;
+            }
+            if (release) {
+              release();
+            }
           }
 
-          // Show command in debug mode or dry run mode
-          if (options.debug || options.dryRun) {
-            const commandText = options.dryRun ? 'DRY RUN - Executing: ' : 'Running: ';
-            const redactedArgs = ImapService.redactPasswords(args);
-            const fullCommand = `${command} ${redactedArgs.join(' ')}`;
-            task.output = `${commandText}${fullCommand}`;
-            
-            // Also log to console in debug mode for visibility
-            if (options.debug) {
-              console.log(chalk.gray(`${commandText}${fullCommand}`));
+          // Stopping: rows that have not started stay pending in the journal for --resume
+          if (this.stopping) {
+            if (release) {
+              release();
             }
+            if (syncResults) {
+              syncResults.notStarted++;
+            }
+            task.skip(`Not started (stopping): ${displayText}`);
+            return { success: false, notStarted: true };
+          }
+
+          code = null;
+          runError = null;
+          try {
+            logFile = this.generateLogFilePath(config, logDir, unixTimestamp);
+
+            // Ensure the directory exists (including unix timestamp subdirectory)
+            await fs.ensureDir(path.dirname(logFile));
+
+            if (journal) {
+              await journal.markStarted(config, logFile);
+            }
+
+            // Secrets and OAuth tokens are fetched per attempt so a long wait or retry never uses a stale one
+            const runConfig = await this.resolveCredentials(config);
+
+            code = options.engine === 'native'
+              ? await this.runNativeEngine(runConfig, options, task, logFile)
+              : await this.runImapsyncProcess(runConfig, options, task, logFile);
+          } catch (error) {
+            runError = error;
+          } finally {
+            if (release) {
+              release();
+            }
+          }
+
+          if (runError === null && code === 0) {
+            break;
+          }
+          // Killed by a second Ctrl-C
+          if (this.killing) {
+            interrupted = true;
+            break;
+          }
+          if (this.stopping || !retryPolicy.shouldRetry(attempt, { code, error: runError })) {
+            break;
+          }
+
+          const reason = runError ? runError.message : `exit code: ${code}`;
+          const delay = retryPolicy.getDelay(attempt);
+          if (journal) {
+            await journal.markFinished(config, 'failed', { exitCode: code, error: reason });
+          }
+          task.title = `🔁 Retry ${attempt}/${retryPolicy.retries} in ${SyncProgress.formatDuration(delay / 1000)}: ${displayText} (${reason})`;
+          await UtilService.sleep(delay, this.stopController.signal);
+          if (this.stopping) {
+            break;
+          }
+          task.title = `${displayText} (attempt ${attempt + 1}/${retryPolicy.retries + 1})`;
+        }
+
+        if (interrupted) {
+          if (syncResults) {
+            syncResults.interrupted++;
+          }
+          if (journal) {
+            await journal.markFinished(config, 'interrupted', { exitCode: code, error: 'Interrupted' });
           }
+          task.skip(`⏹  Interrupted: ${displayText}`);
+          return { success: false, interrupted: true, logFile };
+        }
 
-          const child = spawn(command, args);
-          
-          // Create log file stream
-          const logStream = fs.createWriteStream(logFile);
-          
-          child.stdout.pipe(logStream);
-          child.stderr.pipe(logStream);
-          
-          // Only show detailed output in debug mode
-          if (options.debug) {
-            child.stdout.on('data', (data) => {
-              task.output = data.toString();
-            });
-            
-            child.stderr.on('data', (data) => {
-              task.output = data.toString();
-            });
+        if (runError) {
+          // Update failure counter
+          if (syncResults) {
+            syncResults.failed++;
           }
 
-          child.on('close', (code) => {
-            logStream.end();
-            
-            if (code === 0) {
-              // Update success counter
-              if (syncResults) {
-                if (options.dryRun) {
-                  syncResults.dryRun++;
-                } else {
-                  syncResults.successful++;
-                }
-              }
-              
-              if (options.dryRun) {
-                task.title = `🔍 DRY RUN completed: ${displayText}`;
-              } else {
-                task.title = `✅ Successfully synced: ${displayText}`;
-              }
-              resolve({ success: true, logFile, dryRun: options.dryRun });
+          if (journal) {
+            await journal.markFinished(config, 'failed', { error: runError.message });
+          }
+
+          const prefix = options.dryRun ? '🔍 DRY RUN error: ' : `❌ Error running ${options.engine === 'native' ? 'native sync' : 'imapsync'}: `;
+          task.title = `${prefix}${displayText} (${runError.message})`;
+          throw new Error(`${prefix}${displayText} (${runError.message})`);
+        }
+
+        if (journal) {
+          const status = code !== 0 ? 'failed' : (options.dryRun ? 'dry-run' : 'success');
+          await journal.markFinished(config, status, { exitCode: code });
+        }
+
+        if (code === 0) {
+          // Update success counter
+          if (syncResults) {
+            if (options.dryRun) {
+              syncResults.dryRun++;
             } else {
-              // Update failure counter
-              if (syncResults) {
-                syncResults.failed++;
-              }
-              
-              const prefix = options.dryRun ? '🔍 DRY RUN failed: ' : '❌ Failed to sync: ';
-              task.title = `${prefix}${displayText} (exit code: ${code})`;
-              reject(new Error(`${prefix}${displayText} (exit code: ${code})`));
+              syncResults.successful++;
             }
-          });
+          }
 
-          child.on('error', (error) => {
-            // Update failure counter
-            if (syncResults) {
-              syncResults.failed++;
-            }
-            
-            const prefix = options.dryRun ? '🔍 DRY RUN error: ' : '❌ Error running imapsync: ';
-            task.title = `${prefix}${error.message}`;
-            reject(new Error(`${prefix}${error.message}`));
-          });
+          if (options.dryRun) {
+            task.title = `🔍 DRY RUN completed: ${displayText}`;
+          } else {
+            task.title = `✅ Successfully synced: ${displayText}`;
+          }
+          return { success: true, logFile, dryRun: options.dryRun };
+        }
+
+        // Update failure counter
+        if (syncResults) {
+          syncResults.failed++;
+        }
+
+        const prefix = options.dryRun ? '🔍 DRY RUN failed: ' : '❌ Failed to sync: ';
+        task.title = `${prefix}${displayText} (exit code: ${code})`;
+        throw new Error(`${prefix}${displayText} (exit code: ${code})`);
+      }
+    };
+  }
+
+  /**
+   * Run imapsync (locally or through Docker) and resolve with its exit code
+   */
+  async runImapsyncProcess(config, options, task, logFile) {
+    // Passwords and tokens go into 0600 files instead of the command line
+    const hostFiles = {
+      src: await this.passfiles.write(config.src_access_token || config.src_pass),
+      dst: await this.passfiles.write(config.dst_access_token || config.dst_pass)
+    };
+
+    try {
+      return await this.spawnImapsync(config, options, task, logFile, hostFiles);
+    } finally {
+      await this.passfiles.remove(Object.values(hostFiles));
+    }
+  }
+
+  /**
+   * Spawn imapsync (locally or through Docker) with its secrets in files
+   */
+  spawnImapsync(config, options, task, logFile, hostFiles) {
+    return new Promise((resolve, reject) => {
+      let command, args;
+
+      let container = null;
+      if (options.docker) {
+        // Named so the container itself can be paused, not just the docker client
+        container = `emoo-imapsync-${process.pid}-${++this.containerCount}`;
+
+        // Mount each secret file read-only and run as the file owner, so the 0600 files stay readable
+        const secretFiles = { src: '/run/emoo/secret1', dst: '/run/emoo/secret2' };
+        const user = typeof process.getuid === 'function' ? ['--user', `${process.getuid()}:${process.getgid()}`] : [];
+
+        command = 'docker';
+        args = [
+          'run', '--rm',
+          '--name', container,
+          ...user,
+          '-v', `${hostFiles.src}:${secretFiles.src}:ro`,
+          '-v', `${hostFiles.dst}:${secretFiles.dst}:ro`,
+          '-e', 'IMAPSYNC_DEBUG=0',
+          'gilleslamiral/imapsync',
+          'imapsync',
+          ...this.buildImapsyncArgs(config, { ...options, logFile, secretFiles })
+        ];
+      } else {
+        command = 'imapsync';
+        args = this.buildImapsyncArgs(config, { ...options, logFile, secretFiles: hostFiles });
+      }
+
+      // Show command in debug mode or dry run mode
+      if (options.debug || options.dryRun) {
+        const commandText = options.dryRun ? 'DRY RUN - Executing: ' : 'Running: ';
+        const redactedArgs = ImapService.redactPasswords(args);
+        const fullCommand = `${command} ${redactedArgs.join(' ')}`;
+        task.output = `${commandText}${fullCommand}`;
+
+        // Also log to console in debug mode for visibility
+        if (options.debug) {
+          console.log(chalk.gray(`${commandText}${fullCommand}`));
+        }
+      }
+
+      // Own process group, so Ctrl-C in the terminal reaches only us and running rows can finish;
+      // killChildren() stops the group when emoo exits, so it is not left running on its own
+      const child = spawn(command, args, { detached: true });
+      this.children.set(child, { container, paused: false });
+
+      // Create log file stream
+      const logStream = fs.createWriteStream(logFile);
+
+      child.stdout.pipe(logStream);
+      child.stderr.pipe(logStream);
+
+      // Show raw output in debug mode, otherwise a parsed progress line
+      if (options.debug) {
+        child.stdout.on('data', (data) => {
+          task.output = data.toString();
+        });
+
+        child.stderr.on('data', (data) => {
+          task.output = data.toString();
+        });
+      } else {
+        const progress = new SyncProgress();
+        child.stdout.on('data', (data) => {
+          if (progress.feed(data)) {
+            task.output = progress.format();
+          }
         });
       }
+
+      child.on('close', (code) => {
+        this.children.delete(child);
+        logStream.end();
+        resolve(code);
+      });
+
+      child.on('error', (error) => {
+        this.children.delete(child);
+        logStream.end();
+        reject(error);
+      });
+    });
+  }
+
+  /**
+   * Handle Ctrl-C / SIGTERM / SIGHUP: the first stops scheduling new rows, the second kills
+   * running rows, a third exits at once. Either way sync() still writes the summary.
+   */
+  requestStop(signal = 'SIGINT') {
+    if (!this.stopping) {
+      this.stopping = true;
+      this.stopController.abort();
+      if (this.scheduler) {
+        this.scheduler.cancel();
+      }
+      console.log(chalk.yellow(`\n⏸  ${signal}: no new rows will start, running rows finish. Send it again to stop them now.`));
+    } else if (!this.killing) {
+      this.killing = true;
+      this.killController.abort();
+      this.killChildren();
+      console.log(chalk.red(`\n⏹  ${signal}: stopping running rows...`));
+    } else {
+      PassfileStore.cleanupAllSync();
+      process.exit(130);
+    }
+  }
+
+  /**
+   * Free a row's key in activeRows (shared by sync watch cycles, claimed by sync()) as soon as its task ends
+   */
+  trackActiveRow(config, task, activeRows, claimedRows) {
+    if (!task || !activeRows) {
+      return task;
+    }
+
+    const key = SyncJournal.getRowKey(config);
+    return {
+      ...task,
+      task: async (ctx, listrTask) => {
+        try {
+          return await task.task(ctx, listrTask);
+        } finally {
+          // Dropped from claimedRows too, so the cleanup at the end of sync() cannot free it once a later cycle holds it
+          if (claimedRows.delete(key)) {
+            activeRows.delete(key);
+          }
+        }
+      }
+    };
+  }
+
+  /**
+   * Signal a child's whole process group: each child leads its own (detached),
+   * which also holds whatever it started
+   */
+  static signalChild(child, signal) {
+    try {
+      process.kill(-child.pid, signal);
+    } catch {
+      child.kill(signal);
+    }
+  }
+
+  /**
+   * Stop every running imapsync process (and its Docker container) right away
+   *
+   * With sync, docker kill is waited for, as needed in a process 'exit' handler.
+   */
+  killChildren({ sync = false } = {}) {
+    for (const [child, entry] of this.children) {
+      // --rm containers are only removed once they stop, killing the docker client is not enough
+      if (entry.container && sync) {
+        spawnSync('docker', ['kill', entry.container], { stdio: 'ignore', timeout: 10000 });
+      } else if (entry.container) {
+        spawn('docker', ['kill', entry.container], { stdio: 'ignore' })
+          .on('error', () => {});
+      }
+      ImapService.signalChild(child, 'SIGTERM');
+      if (entry.paused) {
+        ImapService.signalChild(child, 'SIGCONT');
+      }
+    }
+  }
+
+  /**
+   * Pause (SIGSTOP, or docker pause) or resume (SIGCONT, or docker unpause) running imapsync processes
+   *
+   * Native engine rows have no process of their own; they wait in waitWhilePaused().
+   */
+  setChildrenPaused(paused) {
+    this.paused = paused;
+    for (const [child, entry] of this.children) {
+      if (entry.paused === paused) {
+        continue;
+      }
+      entry.paused = paused;
+
+      if (entry.container) {
+        spawn('docker', [paused ? 'pause' : 'unpause', entry.container], { stdio: 'ignore' })
+          .on('error', () => {});
+      } else {
+        ImapService.signalChild(child, paused ? 'SIGSTOP' : 'SIGCONT');
+      }
+    }
+  }
+
+  /**
+   * Resolve once running rows may continue (right away unless paused), or when they are killed
+   */
+  async waitWhilePaused(log) {
+    if (!this.paused) {
+      return;
+    }
+    log('Paused: outside the sync window');
+    while (this.paused && !this.killController.signal.aborted) {
+      await UtilService.sleep(ImapService.PAUSE_CHECK_MS, this.killController.signal);
+    }
+    log('Resumed');
+  }
+
+  /**
+   * Copy the account with the built-in IMAP engine and resolve with an imapsync-style exit code
+   */
+  async runNativeEngine(config, options, task, logFile) {
+    const source = SyncRow.buildNativeConnection(config, 'src');
+    const destination = SyncRow.buildNativeConnection(config, 'dst');
+
+    if (options.debug || options.dryRun) {
+      task.output = `${options.dryRun ? 'DRY RUN - ' : ''}Native sync: ${source.host}:${source.port} -> ${destination.host}:${destination.port}`;
+    }
+
+    const logStream = fs.createWriteStream(logFile);
+    const progress = new SyncProgress();
+    const log = (line) => {
+      logStream.write(`${line}\n`);
+      if (options.debug) {
+        task.output = line;
+      } else if (progress.parseLine(line)) {
+        task.output = progress.format();
+      }
     };
+
+    const nativeService = new NativeSyncService();
+    try {
+      await nativeService.syncAccount(source, destination, {
+        dryRun: options.dryRun,
+        justFolders: options.justFolders,
+        folderMapper: new FolderMapper(config, options),
+        ...SyncAgeFilter.resolve(config, options),
+        signal: this.killController.signal,
+        waitWhilePaused: () => this.waitWhilePaused(log),
+        log
+      });
+      return 0;
+    } catch (error) {
+      // Per-message errors are already in the log, report them like imapsync does
+      if (/^Detected \d+ errors$/.test(error.message)) {
+        return 1;
+      }
+      throw error;
+    } finally {
+      await new Promise(resolve => logStream.end(resolve));
+    }
   }
 
   /**
@@ -329,20 +782,91 @@ export class ImapService {
     return answer.selectedEmails.map(index => configs[index]);
   }
 
+  /**
+   * Parse the options passed to imapsync for every row into options.commonArgs, and make
+   * sure options that delete mail (--delete2, --expunge1, ...) were meant
+   */
+  async resolveImapsyncOptions(configs, options) {
+    const commonOpts = options.commonOpts ?? await ConfigService.get('sync.commonOpts') ?? process.env.COMMON_OPTS;
+    options.commonArgs = ImapsyncOptions.validate(commonOpts, '--common-opts');
+
+    const rowsWithOptions = configs.filter(config => (config.extra_opts ?? '').trim());
+    if (options.engine === 'native') {
+      if (options.commonArgs.length > 0 || rowsWithOptions.length > 0) {
+        console.log(chalk.yellow('⚠️  imapsync options (--common-opts, extra_opts) are ignored by the native engine'));
+      }
+      return;
+    }
+
+    // Rows whose extra_opts do not parse fail on their own (lint already reported them)
+    const dangerous = new Set(ImapsyncOptions.findDangerous(options.commonArgs));
+    for (const config of configs) {
+      try {
+        const args = [...ProviderPresets.getImapsyncArgs(config), ...ImapsyncOptions.parse(config.extra_opts)];
+        ImapsyncOptions.findDangerous(args).forEach(arg => dangerous.add(arg));
+      } catch {
+        // reported by lint
+      }
+    }
+    if (dangerous.size === 0 || options.allowDangerous || options.dryRun) {
+      return;
+    }
+
+    const list = [...dangerous].join(', ');
+    const interactive = options.interactive !== false && process.stdin.isTTY;
+    const confirmed = interactive &&
+      await UtilService.confirmAction(`imapsync will run with ${list}, which deletes mail or folders. Continue?`, false);
+    if (!confirmed) {
+      throw new Error(`Refusing to run imapsync with ${list}; pass --allow-dangerous if this is intended`);
+    }
+  }
+
   /**
    * Main synchronization method
    */
   async sync(options = {}) {
+    // Keys this call holds in options.activeRows (sync watch), from selection until each row ends
+    const claimedRows = new Set();
     try {
       console.log(chalk.green('=== IMAP Email Synchronization ==='));
 
-      const csvFile = options.csv || 'input/example.csv';
+      const logDir = options.logDir || './results/sync-log';
       const jobs = parseInt(options.jobs) || 1;
 
+      // Fix the date window once, so durations like "30d" mean the same for every row
+      if (options.since) {
+        options.since = SyncAgeFilter.parseDateOrDuration(options.since);
+        console.log(chalk.blue(`Only messages since: ${options.since.toISOString()}`));
+      }
+      if (options.before) {
+        options.before = SyncAgeFilter.parseDateOrDuration(options.before);
+        console.log(chalk.blue(`Only messages before: ${options.before.toISOString()}`));
+      }
+
+      // Maintenance window: rows only start while it is open
+      const syncWindow = options.window ? new SyncWindow(options.window, { timeZone: options.timezone }) : null;
+      if (syncWindow) {
+        const state = syncWindow.isOpen()
+          ? 'open now'
+          : `opens in ${SyncProgress.formatDuration(syncWindow.getMsUntilOpen() / 1000)}`;
+        console.log(chalk.blue(`🌙 Maintenance window ${syncWindow.label} (${state}); running rows ${options.windowPause ? 'are paused' : 'finish'} when it closes`));
+      }
+
+      // Load the journal of the batch being resumed
+      let journal = null;
+      if (options.resume) {
+        journal = await SyncJournal.load(SyncJournal.resolveBatchDir(options.resume, logDir));
+        console.log(chalk.blue(`Resuming batch ${journal.batch} from: ${journal.file}`));
+      }
+
+      const csvFile = options.csv || journal?.csv || 'input/example.csv';
+
       console.log(chalk.blue(`Reading configuration from: ${csvFile}`));
 
-      // Check if imapsync is available (unless using Docker)
-      if (!options.docker) {
+      // Check if imapsync is available (unless using Docker or the native engine)
+      if (options.engine === 'native') {
+        console.log(chalk.blue('Using the built-in native IMAP engine'));
+      } else if (!options.docker) {
         const hasImapsync = await this.checkImapsyncAvailability();
         if (!hasImapsync) {
           console.log(chalk.yellow('imapsync not found locally. Consider using --docker option.'));
@@ -356,7 +880,7 @@ export class ImapService {
         {
           title: 'Parsing CSV file...',
           task: async (ctx) => {
-            const configs = await this.parseCsvFile(csvFile);
+            const configs = await this.parseCsvFile(csvFile, options);
             if (configs.length === 0) {
               throw new Error('No configurations found in CSV file');
             }
@@ -369,8 +893,16 @@ export class ImapService {
       let configs = context.configs;
       console.log(chalk.green(`✅ Found ${configs.length} configuration(s)`));
 
-      // Interactive email selection (unless --all flag is provided)
-      if (!options.all && !options.skipSelection) {
+      if (journal) {
+        // Only re-run rows that are pending, failed, were cut off or only ran as a dry run
+        configs = configs.filter(config => !SyncRow.isSkippedRow(config) && journal.needsRun(config));
+        if (configs.length === 0) {
+          console.log(chalk.green('Nothing to resume, every row of this batch already finished.'));
+          return { successful: 0, failed: 0, skipped: 0, dryRun: 0, total: 0 };
+        }
+        console.log(chalk.green(`📋 Resuming ${configs.length} pending or failed row(s)`));
+      } else if (!options.all && !options.skipSelection) {
+        // Interactive email selection (unless --all flag is provided)
         configs = await this.selectEmailsInteractively(configs);
         if (configs.length === 0) {
           console.log(chalk.yellow('No emails selected. Exiting...'));
@@ -379,24 +911,106 @@ export class ImapService {
         console.log(chalk.green(`📋 Selected ${configs.length} email(s) for sync`));
       }
 
+      // Validate the rows about to run; errors stop the batch unless forced
+      const lint = new SyncLintService();
+      await lint.lint(configs);
+      if (lint.issues.length > 0) {
+        console.log(chalk.blue('\n🔎 CSV validation:'));
+        lint.printIssues(csvFile);
+        if (lint.errors.length > 0 && !options.force) {
+          throw new Error(`${csvFile} has ${lint.errors.length} error(s); fix them (see: emoo sync lint --csv ${csvFile}) or use --force`);
+        }
+        console.log('');
+      }
+
+      // Watch mode: rows still running from an earlier cycle are left alone
+      if (options.activeRows) {
+        const idle = configs.filter(config => SyncRow.isSkippedRow(config) || !options.activeRows.has(SyncJournal.getRowKey(config)));
+        if (idle.length < configs.length) {
+          console.log(chalk.gray(`⏭  ${configs.length - idle.length} row(s) still running from an earlier cycle, skipped`));
+        }
+        configs = idle;
+        if (!configs.some(config => !SyncRow.isSkippedRow(config))) {
+          console.log(chalk.yellow('Every row is still running from an earlier cycle. Nothing to start.'));
+          return { successful: 0, failed: 0, skipped: 0, dryRun: 0, total: 0 };
+        }
+
+        // Claim the rows now, so a cycle starting during this one's pre-flight or setup leaves them alone
+        for (const config of configs.filter(config => !SyncRow.isSkippedRow(config))) {
+          const key = SyncJournal.getRowKey(config);
+          options.activeRows.add(key);
+          claimedRows.add(key);
+        }
+      }
+
+      await this.resolveImapsyncOptions(configs.filter(config => !SyncRow.isSkippedRow(config)), options);
+
+      // Ask for the vault passphrase now rather than in the middle of the task list
+      await this.unlockSecrets(configs.filter(config => !SyncRow.isSkippedRow(config)));
+
+      // Pre-flight: log in to both sides of every row and drop the ones that would fail
+      if (options.preflight) {
+        console.log(chalk.blue('\n🔑 Running pre-flight login check...\n'));
+        const preflightService = new PreflightService(this);
+        const results = await preflightService.checkAll(
+          configs.filter(config => !SyncRow.isSkippedRow(config)),
+          { jobs: Math.max(jobs, 4) }
+        );
+        preflightService.printFailures(results);
+
+        configs = results.filter(result => result.ok).map(result => result.config);
+        if (configs.length === 0) {
+          console.log(chalk.yellow('No rows passed the pre-flight check. Exiting...'));
+          return { successful: 0, failed: results.length, skipped: 0, dryRun: 0, total: results.length };
+        }
+        console.log(chalk.green(`\n📋 ${configs.length} row(s) passed the pre-flight check`));
+      }
+
       if (options.dryRun) {
         console.log(chalk.yellow('\n🔍 DRY RUN MODE - No actual synchronization will be performed\n'));
       }
 
-      // Generate unix timestamp for this sync batch to group logs
-      const batchUnixTimestamp = Math.floor(Date.now() / 1000);
+      // Generate unix timestamp for this sync batch to group logs (or reuse the resumed one)
+      const batchUnixTimestamp = journal ? journal.batch : Math.floor(Date.now() / 1000);
       console.log(chalk.blue(`📁 Logs will be grouped in directory: ${batchUnixTimestamp}`));
 
+      // Delta mode: only copy messages newer than each row's last successful sync
+      if (options.delta) {
+        options.deltaSince = await SyncAgeFilter.loadDeltaSince(logDir, batchUnixTimestamp);
+        const withHistory = configs.filter(config => options.deltaSince.has(SyncJournal.getRowKey(config))).length;
+        console.log(chalk.blue(`🔁 Delta mode: ${withHistory}/${configs.length} row(s) have a previous successful sync, the rest get a full sync`));
+      }
+
+      if (!journal) {
+        journal = await SyncJournal.create(path.join(logDir, batchUnixTimestamp.toString()), {
+          batch: batchUnixTimestamp,
+          csv: csvFile,
+          configs: configs.filter(config => !SyncRow.isSkippedRow(config))
+        });
+      }
+
+      // Per-host limits: every task starts at once and waits for its hosts' slots (sync watch shares one scheduler)
+      const scheduler = options.scheduler ||
+        (HostScheduler.isNeeded(options) ? new HostScheduler({ ...options, jobs }) : null);
+      this.scheduler = scheduler;
+
       // Track results manually using a shared counter
       const syncResults = {
         successful: 0,
         failed: 0,
-        dryRun: 0
+        dryRun: 0,
+        interrupted: 0,
+        notStarted: 0
       };
 
       // Create sync tasks
       const syncTasks = configs
-        .map(config => this.createSyncTask(config, options, batchUnixTimestamp, syncResults))
+        .map(config => this.trackActiveRow(
+          config,
+          this.createSyncTask(config, options, batchUnixTimestamp, syncResults, journal, scheduler, syncWindow),
+          options.activeRows,
+          claimedRows
+        ))
         .filter(task => task !== null); // Filter out skipped tasks
 
       if (syncTasks.length === 0) {
@@ -406,40 +1020,92 @@ export class ImapService {
 
       // Create and run listr2 tasks
       const taskList = new Listr(syncTasks, {
-        concurrent: jobs > 1 ? jobs : false,
+        concurrent: scheduler ? true : (jobs > 1 ? jobs : false),
         exitOnError: false,
         collectErrors: 'minimal',
+        // Signals are handled below, listr2 would exit right away
+        registerSignalListeners: false,
+        ...(options.renderer ? { renderer: options.renderer } : {}),
         rendererOptions: {
           collapseErrors: false,
           showErrorMessage: true,
           persistentOutput: options.debug,
-          outputBar: options.debug ? Infinity : 0
+          outputBar: options.debug ? Infinity : 1
         }
       });
 
       console.log(chalk.blue(`\n📊 Processing ${syncTasks.length} email accounts${jobs > 1 ? ` with ${jobs} parallel jobs` : ' sequentially'}\n`));
 
+      // Pause running rows while the window is closed, resume them when it reopens
+      const stopWatchingWindow = syncWindow && options.windowPause
+        ? syncWindow.watch(open => this.setChildrenPaused(!open))
+        : null;
+
+      // Ctrl-C / SIGTERM / SIGHUP (unless the caller handles signals itself, like sync watch)
+      const onSignal = (signal) => this.requestStop(signal);
+      if (options.handleSignals !== false) {
+        process.on('SIGINT', onSignal);
+        process.on('SIGTERM', onSignal);
+        process.on('SIGHUP', onSignal);
+      }
+      // Detached children would outlive emoo otherwise (a crash, process.exit(); only SIGKILL gets past this)
+      const onExit = () => this.killChildren({ sync: true });
+      process.on('exit', onExit);
+
       let results;
       try {
         results = await taskList.run();
-        console.log(chalk.green('\n✅ All sync tasks completed!'));
+        if (this.stopping) {
+          console.log(chalk.yellow('\n⏹  Sync stopped before all rows finished'));
+        } else {
+          console.log(chalk.green('\n✅ All sync tasks completed!'));
+        }
       } catch (error) {
         console.log(chalk.yellow('\n⚠️  Some sync tasks failed, but continuing with summary...'));
+      } finally {
+        if (stopWatchingWindow) {
+          stopWatchingWindow();
+        }
+        process.removeListener('SIGINT', onSignal);
+        process.removeListener('SIGTERM', onSignal);
+        process.removeListener('SIGHUP', onSignal);
+        process.removeListener('exit', onExit);
+        await this.passfiles.cleanup();
       }
 
       // Generate summary
-      return this.generateSummary(syncResults, options, syncTasks.length, batchUnixTimestamp);
+      await journal.save();
+      console.log(chalk.gray(`Journal: ${journal.file} (resume with: emoo sync --resume ${batchUnixTimestamp})`));
+
+      // Write the rows that failed with their original columns, so they can be rerun as-is
+      const failedConfigs = configs.filter(config => journal.getRow(config)?.status === 'failed');
+      if (failedConfigs.length > 0) {
+        const failedCsv = path.join(journal.batchDir, 'failed.csv');
+        await this.writeCsvFile(failedConfigs.map(SyncRow.getOriginal), failedCsv, SyncRow.getOriginalColumns(context.configs));
+        console.log(chalk.yellow(`Failed rows: ${failedCsv} (rerun with: emoo sync --csv ${failedCsv} --all)`));
+      }
+
+      // Read the final statistics back from every log of the batch
+      const statsService = new SyncStatsService();
+      const report = await statsService.buildBatchReport(journal);
+      const reportFiles = await statsService.writeBatchReport(journal.batchDir, report);
+      console.log(chalk.gray(`Statistics: ${reportFiles.jsonFile}, ${reportFiles.csvFile}`));
+
+      return this.generateSummary(syncResults, options, syncTasks.length, batchUnixTimestamp, report);
 
     } catch (error) {
       throw error;
+    } finally {
+      // Rows dropped before they ran (pre-flight, an error) are free again too
+      claimedRows.forEach(key => options.activeRows.delete(key));
     }
   }
 
   /**
    * Generate synchronization summary
    */
-  generateSummary(syncResults, options, totalTasks, unixTimestamp = null) {
-    const { successful, failed, dryRun } = syncResults;
+  generateSummary(syncResults, options, totalTasks, unixTimestamp = null, report = null) {
+    const { successful, failed, dryRun, interrupted = 0, notStarted = 0 } = syncResults;
     const skipped = 0; // We filter out skipped tasks before creating the task list
 
     console.log(chalk.green('\n=== Synchronization Summary ==='));
@@ -455,6 +1121,21 @@ export class ImapService {
         console.log(chalk.gray(`Skipped: ${skipped}`));
       }
     }
+    if (interrupted > 0 || notStarted > 0) {
+      console.log(chalk.yellow(`Interrupted: ${interrupted}`));
+      console.log(chalk.yellow(`Not started: ${notStarted}`));
+    }
+
+    if (report && report.totals.withStatistics > 0) {
+      const { totals } = report;
+      console.log(chalk.cyan(`Messages transferred: ${totals.transferred} (${SyncStatsService.formatBytes(totals.bytes)})`));
+      console.log(chalk.cyan(`Messages skipped: ${totals.skipped}`));
+      if (totals.errors > 0) {
+        console.log(chalk.red(`Message errors: ${totals.errors}`));
+      }
+      console.log(chalk.cyan(`Folders synced: ${totals.foldersSynced}`));
+      console.log(chalk.cyan(`Total transfer time: ${totals.duration} sec (${totals.withStatistics}/${totals.accounts} account logs with statistics)`));
+    }
 
     if (options.logDir && unixTimestamp) {
       console.log(chalk.blue(`Log files saved to: ${path.join(options.logDir, unixTimestamp.toString())}`));
@@ -473,6 +1154,8 @@ export class ImapService {
       failed,
       skipped,
       dryRun,
+      interrupted,
+      notStarted,
       total: totalTasks
     };
   }
@@ -0,0 +1,310 @@
+import chalk from 'chalk';
+import { createObjectCsvWriter } from 'csv-writer';
+import fs from 'fs-extra';
+import { ImapFlow } from 'imapflow';
+import { Listr } from 'listr2';
+import path from 'path';
+import { FolderMapper } from './folders.service.js';
+import { PreflightService } from './preflight.service.js';
+import { SyncRow } from './row.service.js';
+
+/**
+ * Post-migration check that every source folder made it to the destination
+ *
+ * A folder passes when the destination holds at least as many messages and bytes
+ * as the source (the destination may already have had mail of its own) and, with
+ * sampling, when the sampled source Message-IDs are all found on the destination.
+ */
+export class SyncVerifyService {
+  static JSON_FILE = 'verify.json';
+  static CSV_FILE = 'verify.csv';
+  static FAILED_CSV_FILE = 'verify-failed.csv';
+
+  static CSV_HEADER = [
+    { id: 'line', title: 'line' },
+    { id: 'account', title: 'account' },
+    { id: 'source', title: 'source_folder' },
+    { id: 'target', title: 'target_folder' },
+    { id: 'status', title: 'status' },
+    { id: 'srcMessages', title: 'src_messages' },
+    { id: 'dstMessages', title: 'dst_messages' },
+    { id: 'srcBytes', title: 'src_bytes' },
+    { id: 'dstBytes', title: 'dst_bytes' },
+    { id: 'sampled', title: 'sampled' },
+    { id: 'sampleMissing', title: 'sample_missing' },
+    { id: 'error', title: 'error' }
+  ];
+
+  constructor(imapService, options = {}) {
+    this.imapService = imapService;
+    this.timeout = (parseInt(options.timeout, 10) || 20) * 1000;
+    this.sample = Math.max(0, parseInt(options.sample, 10) || 0);
+    this.autoMap = Boolean(options.autoMap);
+  }
+
+  async connect(config, side) {
+    const connection = SyncRow.buildNativeConnection(config, side);
+    const client = new ImapFlow({
+      ...connection,
+      logger: false,
+      connectionTimeout: this.timeout,
+      greetingTimeout: this.timeout
+    });
+    client.on('error', () => {
+      // Reported through the pending command instead
+    });
+
+    try {
+      await client.connect();
+    } catch (error) {
+      // A rejected login leaves the socket open
+      client.close();
+      throw new Error(`${side}: ${PreflightService.describeError(error)}`);
+    }
+    return client;
+  }
+
+  /**
+   * Message count, total size and (sampled) Message-IDs of a folder
+   */
+  async readFolder(client, folderPath, sampleSize = 0) {
+    const lock = await client.getMailboxLock(folderPath, { readOnly: true });
+    try {
+      const summary = { messages: client.mailbox.exists, bytes: 0, messageIds: [] };
+      if (summary.messages === 0) {
+        return summary;
+      }
+
+      const uids = [];
+      for await (const message of client.fetch('1:*', { uid: true, size: true })) {
+        summary.bytes += message.size || 0;
+        uids.push(message.uid);
+      }
+
+      if (sampleSize > 0) {
+        // Random sample without replacement
+        for (let i = uids.length - 1; i > 0; i--) {
+          const j = Math.floor(Math.random() * (i + 1));
+          [uids[i], uids[j]] = [uids[j], uids[i]];
+        }
+        const sample = uids.slice(0, sampleSize);
+        for await (const message of client.fetch(sample, { envelope: true }, { uid: true })) {
+          if (message.envelope?.messageId) {
+            summary.messageIds.push(message.envelope.messageId);
+          }
+        }
+      }
+
+      return summary;
+    } finally {
+      lock.release();
+    }
+  }
+
+  /**
+   * Count how many Message-IDs cannot be found in a destination folder
+   */
+  async countMissing(client, folderPath, messageIds) {
+    if (messageIds.length === 0) {
+      return 0;
+    }
+
+    const lock = await client.getMailboxLock(folderPath, { readOnly: true });
+    try {
+      let missing = 0;
+      for (const messageId of messageIds) {
+        const found = await client.search({ header: { 'message-id': messageId } }, { uid: true });
+        if (!found || found.length === 0) {
+          missing++;
+        }
+      }
+      return missing;
+    } finally {
+      lock.release();
+    }
+  }
+
+  /**
+   * Compare every included source folder with its destination folder
+   */
+  async verifyRow(config) {
+    const result = {
+      line: SyncRow.getLineNumber(config),
+      account: `${config.src_user} (${config.src_host}) -> ${config.dst_user} (${config.dst_host})`,
+      config,
+      ok: false,
+      folders: [],
+      error: null
+    };
+
+    let host1 = null;
+    let host2 = null;
+    try {
+      const resolved = await this.imapService.resolveCredentials(config);
+      host1 = await this.connect(resolved, 'src');
+      host2 = await this.connect(resolved, 'dst');
+
+      const folderMapper = new FolderMapper(config, { autoMap: this.autoMap });
+      const folders = (await host1.list())
+        .filter(folder => !folder.flags?.has('\\Noselect'))
+        .filter(folder => folderMapper.isIncluded(folder.path));
+      const destinationFolders = await host2.list();
+      const existingFolders = new Set(destinationFolders.map(folder => folder.path));
+
+      for (const folder of folders) {
+        const target = folderMapper.translate(folder, host1, host2, destinationFolders);
+        const entry = {
+          source: folder.path,
+          target,
+          status: 'ok',
+          srcMessages: null,
+          dstMessages: null,
+          srcBytes: null,
+          dstBytes: null,
+          sampled: 0,
+          sampleMissing: 0,
+          error: null
+        };
+
+        try {
+          const source = await this.readFolder(host1, folder.path, this.sample);
+          const destination = existingFolders.has(target) || target === 'INBOX'
+            ? await this.readFolder(host2, target)
+            : null;
+          entry.srcMessages = source.messages;
+          entry.srcBytes = source.bytes;
+
+          if (!destination) {
+            entry.status = source.messages > 0 ? 'missing-folder' : 'ok';
+          } else {
+            entry.dstMessages = destination.messages;
+            entry.dstBytes = destination.bytes;
+            entry.sampled = source.messageIds.length;
+            entry.sampleMissing = await this.countMissing(host2, target, source.messageIds);
+
+            if (destination.messages < source.messages) {
+              entry.status = 'count-mismatch';
+            } else if (destination.bytes < source.bytes) {
+              entry.status = 'size-mismatch';
+            } else if (entry.sampleMissing > 0) {
+              entry.status = 'sample-mismatch';
+            }
+          }
+        } catch (error) {
+          entry.status = 'error';
+          entry.error = error.responseText ? `${error.message}: ${error.responseText}` : error.message;
+        }
+
+        result.folders.push(entry);
+      }
+
+      result.ok = result.folders.every(entry => entry.status === 'ok');
+    } catch (error) {
+      result.error = error.message;
+    } finally {
+      await Promise.allSettled([host1?.logout(), host2?.logout()]);
+    }
+
+    return result;
+  }
+
+  /**
+   * Verify every row concurrently; resolves with one result per row
+   */
+  async verifyAll(configs, options = {}) {
+    const jobs = parseInt(options.jobs, 10) || 4;
+    const results = [];
+
+    const tasks = configs.map((config, index) => ({
+      title: `${config.src_user} (${config.src_host}) -> ${config.dst_user} (${config.dst_host})`,
+      task: async (ctx, task) => {
+        const result = await this.verifyRow(config);
+        results[index] = result;
+
+        if (result.error) {
+          task.title = `❌ ${task.title} (${result.error})`;
+        } else if (result.ok) {
+          task.title = `✅ ${task.title} (${result.folders.length} folder(s) match)`;
+        } else {
+          const failed = result.folders.filter(entry => entry.status !== 'ok');
+          task.title = `❌ ${task.title} (${failed.length}/${result.folders.length} folder(s) differ)`;
+        }
+      }
+    }));
+
+    const taskList = new Listr(tasks, {
+      concurrent: jobs,
+      exitOnError: false,
+      rendererOptions: {
+        collapseErrors: false
+      }
+    });
+    await taskList.run();
+
+    return results;
+  }
+
+  /**
+   * Print the folders that did not verify
+   */
+  printMismatches(results) {
+    const failures = results.filter(result => !result.ok);
+
+    console.log(chalk.green('\n=== Verification ==='));
+    console.log(chalk.green(`Verified: ${results.length - failures.length}`));
+    console.log((failures.length > 0 ? chalk.red : chalk.green)(`Failed: ${failures.length}`));
+
+    for (const failure of failures) {
+      console.log(chalk.red(`\nLine ${failure.line ?? '?'}: ${failure.account}`));
+      if (failure.error) {
+        console.log(chalk.red(`  ${failure.error}`));
+        continue;
+      }
+      for (const entry of failure.folders.filter(item => item.status !== 'ok')) {
+        const counts = `${entry.srcMessages ?? '-'} -> ${entry.dstMessages ?? '-'} msgs, ${entry.srcBytes ?? '-'} -> ${entry.dstBytes ?? '-'} bytes`;
+        const sample = entry.sampled > 0 ? `, ${entry.sampleMissing}/${entry.sampled} sampled Message-IDs missing` : '';
+        console.log(chalk.red(`  [${entry.source}] -> [${entry.target}] ${entry.status}${entry.error ? `: ${entry.error}` : ` (${counts}${sample})`}`));
+      }
+    }
+  }
+
+  /**
+   * Write verify.json (every folder), verify.csv (mismatches) and verify-failed.csv
+   * (failing rows with their original columns, ready for a re-sync)
+   */
+  async writeReport(batchDir, results) {
+    await fs.ensureDir(batchDir);
+
+    const jsonFile = path.join(batchDir, SyncVerifyService.JSON_FILE);
+    await fs.writeJson(jsonFile, {
+      generatedAt: new Date().toISOString(),
+      sample: this.sample,
+      rows: results.map(({ config, ...result }) => result)
+    }, { spaces: 2 });
+
+    const records = [];
+    for (const result of results.filter(item => !item.ok)) {
+      if (result.error) {
+        records.push({ line: result.line ?? '', account: result.account, status: 'error', error: result.error });
+        continue;
+      }
+      result.folders
+        .filter(entry => entry.status !== 'ok')
+        .forEach(entry => records.push({ line: result.line ?? '', account: result.account, ...entry }));
+    }
+
+    const csvFile = path.join(batchDir, SyncVerifyService.CSV_FILE);
+    const csvWriter = createObjectCsvWriter({ path: csvFile, header: SyncVerifyService.CSV_HEADER });
+    await csvWriter.writeRecords(records);
+
+    const failedConfigs = results.filter(result => !result.ok).map(result => SyncRow.getOriginal(result.config));
+    let failedCsv = null;
+    if (failedConfigs.length > 0) {
+      failedCsv = path.join(batchDir, SyncVerifyService.FAILED_CSV_FILE);
+      const columns = SyncRow.getOriginalColumns(results.map(result => result.config));
+      await this.imapService.writeCsvFile(failedConfigs, failedCsv, columns);
+    }
+
+    return { jsonFile, csvFile, failedCsv };
+  }
+}
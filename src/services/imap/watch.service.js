@@ -0,0 +1,217 @@
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import { UtilService } from '../shared/util.service.js';
+import { SyncProgress } from './progress.service.js';
+import { HostScheduler } from './scheduler.service.js';
+import { ImapService } from './sync.service.js';
+import { SyncWindow } from './window.service.js';
+
+/**
+ * Repeated sync batches until cutover (emoo sync watch)
+ *
+ * A new batch starts every interval, even while earlier ones still run; rows that
+ * are still running from an earlier cycle are skipped, so no mailbox is synced twice
+ * at once. Watching ends at the --until time, on Ctrl-C, or with one final pass over
+ * every row once SIGUSR1 arrives or the stop file appears.
+ */
+export class SyncWatcher {
+  static INTERVAL_UNITS = {
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000
+  };
+
+  static MIN_INTERVAL_MS = 60 * 1000;
+
+  /**
+   * How often the stop file is looked for while waiting for the next cycle
+   */
+  static STOP_FILE_CHECK_MS = 5 * 1000;
+
+  constructor(options = {}) {
+    this.interval = SyncWatcher.parseInterval(options.interval);
+    this.until = options.until ? SyncWatcher.parseUntil(options.until) : null;
+    this.stopFile = options.stopFile || null;
+    this.serviceOptions = options.serviceOptions || {};
+    this.syncOptions = options.syncOptions || {};
+
+    this.activeRows = new Set();
+    // One set of slots for every cycle, so overlapping cycles stay within --parallel and the per-host limits
+    this.scheduler = new HostScheduler(this.syncOptions);
+    this.services = new Set();
+    this.cycle = 0;
+    this.finalRequested = false;
+    this.stopSignals = 0;
+    this.wake = new AbortController();
+  }
+
+  /**
+   * Parse "15m", "1h" or "90s" (a bare number means minutes)
+   */
+  static parseInterval(value) {
+    const match = String(value ?? '').trim().match(/^(\d+(?:\.\d+)?)\s*([smh]?)$/i);
+    if (!match) {
+      throw new Error(`Invalid interval "${value}" (use e.g. 15m, 1h or 90s)`);
+    }
+
+    const ms = parseFloat(match[1]) * SyncWatcher.INTERVAL_UNITS[(match[2] || 'm').toLowerCase()];
+    if (ms < SyncWatcher.MIN_INTERVAL_MS) {
+      throw new Error(`Interval "${value}" is too short (at least ${SyncWatcher.MIN_INTERVAL_MS / 1000}s)`);
+    }
+    return ms;
+  }
+
+  /**
+   * Parse a stop time: "HH:MM" (next occurrence, local time) or a date-time like 2024-01-31T18:00
+   */
+  static parseUntil(value, now = new Date()) {
+    if (/^\d{1,2}:\d{2}$/.test(String(value).trim())) {
+      const minutes = SyncWindow.parseTime(value);
+      const until = new Date(now);
+      until.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+      if (until <= now) {
+        until.setDate(until.getDate() + 1);
+      }
+      return until;
+    }
+
+    const until = new Date(value);
+    if (Number.isNaN(until.getTime())) {
+      throw new Error(`Invalid stop time "${value}" (use HH:MM or e.g. 2024-01-31T18:00)`);
+    }
+    if (until <= now) {
+      throw new Error(`Stop time ${until.toISOString()} has already passed`);
+    }
+    return until;
+  }
+
+  isPastUntil() {
+    return this.until !== null && Date.now() >= this.until.getTime();
+  }
+
+  get stopping() {
+    return this.stopSignals > 0;
+  }
+
+  /**
+   * Ctrl-C / SIGTERM / SIGHUP: no new cycles start; running cycles get the signal too
+   * (their rows finish, or stop right away on the second signal)
+   */
+  requestStop(signal) {
+    this.stopSignals++;
+    if (this.stopSignals === 1) {
+      console.log(chalk.yellow(`\n⏸  ${signal}: no new cycles will start`));
+    }
+    this.services.forEach(service => service.requestStop(signal));
+    this.wake.abort();
+  }
+
+  /**
+   * SIGUSR1 or the stop file: wait for running cycles, then sync every row once more and exit
+   */
+  requestFinalPass(reason) {
+    if (this.finalRequested) {
+      return;
+    }
+    this.finalRequested = true;
+    console.log(chalk.yellow(`\n🏁 Final pass requested (${reason}): waiting for running cycles, then syncing every row one last time`));
+    this.wake.abort();
+  }
+
+  /**
+   * Sleep until the next cycle is due, waking up early for --until, a signal or the stop file
+   */
+  async waitForNextCycle(cycleStartedAt) {
+    const due = cycleStartedAt + this.interval;
+
+    while (!this.stopping && !this.finalRequested && !this.isPastUntil() && Date.now() < due) {
+      if (this.stopFile && await fs.pathExists(this.stopFile)) {
+        // The stop file is a one-shot request
+        await fs.remove(this.stopFile);
+        this.requestFinalPass(`found ${this.stopFile}`);
+        break;
+      }
+
+      const untilLeft = this.until ? this.until.getTime() - Date.now() : Infinity;
+      const wait = Math.min(due - Date.now(), untilLeft, this.stopFile ? SyncWatcher.STOP_FILE_CHECK_MS : Infinity);
+      await UtilService.sleep(Math.max(0, wait), this.wake.signal);
+    }
+  }
+
+  /**
+   * Run one batch over the CSV; resolves with its summary, or null when it failed to start
+   */
+  async runCycle(final = false) {
+    const cycle = ++this.cycle;
+    const imapService = new ImapService(this.serviceOptions);
+    this.services.add(imapService);
+
+    console.log(chalk.green(`\n=== Watch cycle ${cycle}${final ? ' (final pass)' : ''}: ${new Date().toLocaleString()} ===`));
+    try {
+      return await imapService.sync({
+        ...this.syncOptions,
+        all: true,
+        activeRows: this.activeRows,
+        scheduler: this.scheduler,
+        handleSignals: false
+      });
+    } catch (error) {
+      console.log(chalk.red(`Watch cycle ${cycle} failed: ${error.message}`));
+      return null;
+    } finally {
+      this.services.delete(imapService);
+    }
+  }
+
+  /**
+   * Start cycles until told to stop; resolves with { cycles, finalPass, stopped }
+   */
+  async run() {
+    const onStop = (signal) => this.requestStop(signal);
+    const onFinal = () => this.requestFinalPass('SIGUSR1');
+    process.on('SIGINT', onStop);
+    process.on('SIGTERM', onStop);
+    process.on('SIGHUP', onStop);
+    process.on('SIGUSR1', onFinal);
+
+    const running = new Set();
+    let finalPass = null;
+    try {
+      console.log(chalk.blue(`👀 Watching: a new cycle every ${SyncProgress.formatDuration(this.interval / 1000)}${this.until ? ` until ${this.until.toLocaleString()}` : ''}`));
+      if (this.stopFile) {
+        console.log(chalk.blue(`   Create ${this.stopFile} or send SIGUSR1 (kill -USR1 ${process.pid}) for a final pass`));
+      } else {
+        console.log(chalk.blue(`   Send SIGUSR1 (kill -USR1 ${process.pid}) for a final pass`));
+      }
+
+      while (!this.stopping && !this.finalRequested && !this.isPastUntil()) {
+        const startedAt = Date.now();
+        const cycle = this.runCycle().finally(() => running.delete(cycle));
+        running.add(cycle);
+        await this.waitForNextCycle(startedAt);
+      }
+
+      if (this.isPastUntil() && !this.stopping && !this.finalRequested) {
+        console.log(chalk.yellow(`\n⏰ Reached ${this.until.toLocaleString()}: no new cycles will start`));
+      }
+      if (running.size > 0) {
+        console.log(chalk.gray(`Waiting for ${running.size} running cycle(s) to finish...`));
+        await Promise.all(running);
+      }
+
+      if (this.finalRequested && !this.stopping) {
+        // Batches are named after the second they start in
+        await UtilService.sleep(1000);
+        finalPass = await this.runCycle(true);
+      }
+    } finally {
+      process.removeListener('SIGINT', onStop);
+      process.removeListener('SIGTERM', onStop);
+      process.removeListener('SIGHUP', onStop);
+      process.removeListener('SIGUSR1', onFinal);
+    }
+
+    console.log(chalk.green(`\n👋 Watch finished after ${this.cycle} cycle(s)`));
+    return { cycles: this.cycle, finalPass, stopped: this.stopping };
+  }
+}
@@ -0,0 +1,124 @@
+import { UtilService } from '../shared/util.service.js';
+
+/**
+ * Daily maintenance window (e.g. 22:00-06:00) in a given time zone
+ *
+ * Rows only start while the window is open. A window whose end is earlier than
+ * its start runs past midnight.
+ */
+export class SyncWindow {
+  /**
+   * How often a waiting row or the pause watcher looks at the clock again
+   */
+  static CHECK_INTERVAL_MS = 30 * 1000;
+
+  constructor(spec, options = {}) {
+    const { start, end } = SyncWindow.parse(spec);
+    this.start = start;
+    this.end = end;
+    this.timeZone = options.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+    try {
+      this.formatter = new Intl.DateTimeFormat('en-GB', {
+        timeZone: this.timeZone,
+        hourCycle: 'h23',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+      });
+    } catch {
+      throw new Error(`Invalid time zone: ${this.timeZone}`);
+    }
+
+    this.label = `${spec} ${this.timeZone}`;
+  }
+
+  /**
+   * Minutes after midnight of a "HH:MM" time
+   */
+  static parseTime(value) {
+    const match = String(value).trim().match(/^(\d{1,2}):(\d{2})$/);
+    if (!match || parseInt(match[1], 10) > 23 || parseInt(match[2], 10) > 59) {
+      throw new Error(`Invalid time "${value}": expected HH:MM`);
+    }
+    return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+  }
+
+  /**
+   * Parse "22:00-06:00" into start/end minutes after midnight
+   */
+  static parse(spec) {
+    const parts = String(spec || '').split('-');
+    if (parts.length !== 2) {
+      throw new Error(`Invalid window "${spec}": expected HH:MM-HH:MM, e.g. 22:00-06:00`);
+    }
+
+    const start = SyncWindow.parseTime(parts[0]);
+    const end = SyncWindow.parseTime(parts[1]);
+    if (start === end) {
+      throw new Error(`Invalid window "${spec}": start and end must differ`);
+    }
+    return { start, end };
+  }
+
+  /**
+   * Wall-clock minutes after midnight in the window's time zone
+   */
+  getMinutesOfDay(date = new Date()) {
+    const parts = Object.fromEntries(this.formatter.formatToParts(date).map(part => [part.type, part.value]));
+    return parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10) + parseInt(parts.second, 10) / 60;
+  }
+
+  isOpen(date = new Date()) {
+    const minutes = this.getMinutesOfDay(date);
+    if (this.start < this.end) {
+      return minutes >= this.start && minutes < this.end;
+    }
+    return minutes >= this.start || minutes < this.end;
+  }
+
+  /**
+   * Milliseconds until the window opens next (0 while it is open)
+   */
+  getMsUntilOpen(date = new Date()) {
+    if (this.isOpen(date)) {
+      return 0;
+    }
+    const minutes = (this.start - this.getMinutesOfDay(date) + 24 * 60) % (24 * 60);
+    return Math.ceil(minutes * 60 * 1000);
+  }
+
+  /**
+   * Resolve once the window is open (or the signal aborts); onWait gets the milliseconds left while waiting
+   *
+   * The clock is checked again every CHECK_INTERVAL_MS, so DST changes and a
+   * suspended laptop do not throw the wait off.
+   */
+  async waitUntilOpen(onWait = null, signal = null) {
+    let remaining = this.getMsUntilOpen();
+    while (remaining > 0 && !signal?.aborted) {
+      if (onWait) {
+        onWait(remaining);
+      }
+      await UtilService.sleep(Math.min(remaining, SyncWindow.CHECK_INTERVAL_MS), signal);
+      remaining = this.getMsUntilOpen();
+    }
+  }
+
+  /**
+   * Call onChange(open) whenever the window opens or closes; returns a stop function
+   */
+  watch(onChange) {
+    let open = this.isOpen();
+    const timer = setInterval(() => {
+      const nowOpen = this.isOpen();
+      if (nowOpen !== open) {
+        open = nowOpen;
+        onChange(open);
+      }
+    }, SyncWindow.CHECK_INTERVAL_MS);
+    timer.unref();
+
+    return () => clearInterval(timer);
+  }
+}
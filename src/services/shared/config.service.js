@@ -0,0 +1,38 @@
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+/**
+ * User settings from ~/.emoo/config.json (or EMOO_CONFIG), e.g.
+ *
+ *   { "sync": { "commonOpts": "--syncinternaldates --exclude '^Junk'" } }
+ */
+export class ConfigService {
+  static FILE_ENV = 'EMOO_CONFIG';
+
+  static getFile() {
+    return process.env[ConfigService.FILE_ENV] || path.join(os.homedir(), '.emoo', 'config.json');
+  }
+
+  /**
+   * Read the config file; an empty object when there is none
+   */
+  static async load(file = ConfigService.getFile()) {
+    if (!await fs.pathExists(file)) {
+      return {};
+    }
+    try {
+      return await fs.readJson(file);
+    } catch (error) {
+      throw new Error(`Invalid config file ${file}: ${error.message}`);
+    }
+  }
+
+  /**
+   * A setting by dotted path, e.g. get('sync.commonOpts')
+   */
+  static async get(key, defaultValue = undefined) {
+    const value = key.split('.').reduce((section, part) => section?.[part], await ConfigService.load());
+    return value === undefined ? defaultValue : value;
+  }
+}
@@ -1 +1,4 @@
 export { UtilService } from './util.service.js'
+export { SecretResolver } from './secret.service.js'
+export { VaultService } from './vault.service.js'
+export { ConfigService } from './config.service.js'
@@ -0,0 +1,152 @@
+import { spawn } from 'child_process';
+import fs from 'fs-extra';
+import { VaultService } from './vault.service.js';
+
+// Every value resolved from a reference, so output can be redacted
+const knownSecrets = new Set();
+
+/**
+ * Resolves indirect secret references in CSV cells
+ *
+ * - env:VAR         environment variable
+ * - file:/path      file contents (trailing newline removed)
+ * - cmd:<helper>    first line printed by a shell command, e.g. cmd:pass show mail/user1
+ * - vault:<name>    entry of the encrypted vault
+ * - plain:<value>   literal value, for passwords that start with one of these prefixes
+ *
+ * Any other value is returned as is.
+ */
+export class SecretResolver {
+  static REFERENCE_PATTERN = /^(env|file|cmd|vault|plain):(.*)$/s;
+  static COMMAND_TIMEOUT_MS = 30000;
+
+  constructor(options = {}) {
+    this.vault = options.vault || null;
+  }
+
+  /**
+   * Split a reference into scheme and target, or null for a plain value
+   */
+  static parseReference(value) {
+    const match = typeof value === 'string' ? value.match(SecretResolver.REFERENCE_PATTERN) : null;
+    return match ? { scheme: match[1], target: match[2] } : null;
+  }
+
+  static isVaultReference(value) {
+    return SecretResolver.parseReference(value)?.scheme === 'vault';
+  }
+
+  /**
+   * Replace every resolved secret in a string with a placeholder
+   */
+  static redact(text) {
+    if (typeof text !== 'string') {
+      return text;
+    }
+
+    let redacted = text;
+    for (const secret of knownSecrets) {
+      if (redacted === secret) {
+        return '***REDACTED***';
+      }
+      // Very short values would mangle unrelated output
+      if (secret.length >= 4) {
+        redacted = redacted.split(secret).join('***REDACTED***');
+      }
+    }
+    return redacted;
+  }
+
+  /**
+   * Open the vault for vault: references (passphrase from EMOO_VAULT_PASSPHRASE or a prompt)
+   */
+  async unlockVault() {
+    if (this.vault?.isUnlocked) {
+      return;
+    }
+    this.vault = this.vault || new VaultService();
+    await this.vault.unlock(await VaultService.getPassphrase());
+  }
+
+  /**
+   * Resolve a cell value; label names the cell in error messages
+   */
+  async resolve(value, label = 'value') {
+    const reference = SecretResolver.parseReference(value);
+    if (!reference) {
+      return value;
+    }
+
+    const { scheme, target } = reference;
+    if (scheme === 'plain') {
+      return target;
+    }
+
+    let secret;
+    if (scheme === 'env') {
+      if (process.env[target] === undefined) {
+        throw new Error(`${label}: environment variable ${target} is not set`);
+      }
+      secret = process.env[target];
+    } else if (scheme === 'file') {
+      if (!await fs.pathExists(target)) {
+        throw new Error(`${label}: secret file not found: ${target}`);
+      }
+      secret = (await fs.readFile(target, 'utf8')).replace(/\r?\n$/, '');
+    } else if (scheme === 'cmd') {
+      secret = await this.runHelper(target, label);
+    } else if (scheme === 'vault') {
+      if (!this.vault?.isUnlocked) {
+        throw new Error(`${label}: vault is locked`);
+      }
+      secret = this.vault.get(target);
+      if (typeof secret !== 'string') {
+        throw new Error(`${label}: vault entry ${target} holds credentials, not a password`);
+      }
+    }
+
+    if (secret) {
+      knownSecrets.add(secret);
+    }
+    return secret;
+  }
+
+  /**
+   * Run a password helper through the shell and take the first line of its output
+   */
+  runHelper(command, label) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(command, { shell: true, stdio: ['ignore', 'pipe', 'pipe'] });
+      let stdout = '';
+      let stderr = '';
+
+      const timer = setTimeout(() => {
+        child.kill('SIGKILL');
+        reject(new Error(`${label}: password helper timed out after ${SecretResolver.COMMAND_TIMEOUT_MS / 1000}s`));
+      }, SecretResolver.COMMAND_TIMEOUT_MS);
+
+      child.stdout.on('data', (data) => {
+        stdout += data.toString();
+      });
+      child.stderr.on('data', (data) => {
+        stderr += data.toString();
+      });
+
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        reject(new Error(`${label}: password helper failed to start: ${error.message}`));
+      });
+
+      child.on('close', (code) => {
+        clearTimeout(timer);
+        if (code !== 0) {
+          // Only stderr is shown; stdout may contain the secret
+          const detail = stderr.trim().split('\n')[0];
+          reject(new Error(`${label}: password helper exited with code ${code}${detail ? ` (${detail})` : ''}`));
+          return;
+        }
+        resolve(stdout.split(/\r?\n/)[0]);
+      });
+    });
+  }
+}
@@ -197,6 +197,24 @@ export class UtilService {
     return resultsDir;
   }
 
+  // Wait for ms milliseconds, or less when the abort signal fires
+  static sleep(ms, signal = null) {
+    return new Promise((resolve) => {
+      // Aborted before the call, e.g. Ctrl-C while a retry was being scheduled
+      if (signal?.aborted) {
+        resolve();
+        return;
+      }
+      const done = () => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', done);
+        resolve();
+      };
+      const timer = setTimeout(done, ms);
+      signal?.addEventListener('abort', done, { once: true });
+    });
+  }
+
   // Confirm action
   static async confirmAction(message = 'Continue?', defaultValue = true) {
     const { proceed } = await inquirer.prompt([
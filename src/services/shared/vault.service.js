@@ -0,0 +1,213 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import inquirer from 'inquirer';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Local credential vault encrypted with a passphrase-derived key
+ *
+ * The whole entry list is encrypted with AES-256-GCM under a key derived from the
+ * passphrase with scrypt, so a wrong passphrase or a tampered file fails to open.
+ */
+export class VaultService {
+  static FILE_ENV = 'EMOO_VAULT_FILE';
+  static PASSPHRASE_ENV = 'EMOO_VAULT_PASSPHRASE';
+  static KDF = { name: 'scrypt', N: 2 ** 15, r: 8, p: 1 };
+
+  constructor(file = null) {
+    this.file = file || process.env[VaultService.FILE_ENV] || path.join(os.homedir(), '.emoo', 'vault.json');
+    this.entries = null;
+    this.key = null;
+    this.kdf = null;
+  }
+
+  static deriveKey(passphrase, kdf) {
+    return crypto.scryptSync(passphrase, Buffer.from(kdf.salt, 'base64'), 32, {
+      N: kdf.N,
+      r: kdf.r,
+      p: kdf.p,
+      maxmem: 128 * kdf.N * kdf.r * 2
+    });
+  }
+
+  /**
+   * Passphrase from EMOO_VAULT_PASSPHRASE, or asked for interactively
+   *
+   * Without a terminal there is no prompt: piped stdin may carry other input (emoo vault set).
+   */
+  static async getPassphrase(options = {}) {
+    if (process.env[VaultService.PASSPHRASE_ENV]) {
+      return process.env[VaultService.PASSPHRASE_ENV];
+    }
+    if (!process.stdin.isTTY) {
+      throw new Error(`Set ${VaultService.PASSPHRASE_ENV} to unlock the vault when stdin is not a terminal`);
+    }
+
+    const questions = [{
+      type: 'password',
+      name: 'passphrase',
+      message: options.message || 'Vault passphrase:',
+      mask: '*',
+      validate: (input) => input.length > 0 ? true : 'Passphrase cannot be empty'
+    }];
+    if (options.confirm) {
+      questions.push({
+        type: 'password',
+        name: 'confirmation',
+        message: 'Repeat passphrase:',
+        mask: '*',
+        validate: (input, answers) => input === answers.passphrase ? true : 'Passphrases do not match'
+      });
+    }
+
+    const { passphrase } = await inquirer.prompt(questions);
+    return passphrase;
+  }
+
+  /**
+   * Open and unlock the vault in one step
+   */
+  static async open(file = null) {
+    const vault = new VaultService(file);
+    if (!await vault.exists()) {
+      throw new Error(`Vault not found: ${vault.file} (create it with: emoo vault init)`);
+    }
+    await vault.unlock(await VaultService.getPassphrase());
+    return vault;
+  }
+
+  /**
+   * Panel credentials stored under a name, e.g. { type: 'cpanel', server, username, apiKey }
+   */
+  static async getCredentials(name, type) {
+    const vault = await VaultService.open();
+    const credentials = vault.get(name);
+    if (typeof credentials !== 'object' || credentials === null) {
+      throw new Error(`Vault entry ${name} is a password, not panel credentials`);
+    }
+    if (type && credentials.type !== type) {
+      throw new Error(`Vault entry ${name} holds ${credentials.type} credentials, not ${type}`);
+    }
+    return credentials;
+  }
+
+  async exists() {
+    return fs.pathExists(this.file);
+  }
+
+  get isUnlocked() {
+    return this.entries !== null;
+  }
+
+  /**
+   * Create a new empty vault
+   */
+  async create(passphrase) {
+    if (await this.exists()) {
+      throw new Error(`Vault already exists: ${this.file}`);
+    }
+
+    this.kdf = { ...VaultService.KDF, salt: crypto.randomBytes(16).toString('base64') };
+    this.key = VaultService.deriveKey(passphrase, this.kdf);
+    this.entries = {};
+    await this.save();
+  }
+
+  /**
+   * Decrypt the vault
+   */
+  async unlock(passphrase) {
+    if (!await this.exists()) {
+      throw new Error(`Vault not found: ${this.file} (create it with: emoo vault init)`);
+    }
+
+    const stored = await fs.readJson(this.file);
+    const key = VaultService.deriveKey(passphrase, stored.kdf);
+
+    let plaintext;
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(stored.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(stored.tag, 'base64'));
+      plaintext = Buffer.concat([decipher.update(Buffer.from(stored.data, 'base64')), decipher.final()]);
+    } catch {
+      throw new Error(`Wrong passphrase or damaged vault: ${this.file}`);
+    }
+
+    this.kdf = stored.kdf;
+    this.key = key;
+    this.entries = JSON.parse(plaintext.toString('utf8'));
+  }
+
+  /**
+   * Encrypt and write the vault (owner read/write only)
+   */
+  async save() {
+    this.assertUnlocked();
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(this.entries), 'utf8'), cipher.final()]);
+
+    const stored = {
+      version: 1,
+      kdf: this.kdf,
+      cipher: 'aes-256-gcm',
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+
+    await fs.ensureDir(path.dirname(this.file));
+    const tmpFile = `${this.file}.tmp`;
+    await fs.writeJson(tmpFile, stored, { spaces: 2, mode: 0o600 });
+    await fs.rename(tmpFile, this.file);
+  }
+
+  assertUnlocked() {
+    if (!this.isUnlocked) {
+      throw new Error('Vault is locked');
+    }
+  }
+
+  has(name) {
+    this.assertUnlocked();
+    return Object.prototype.hasOwnProperty.call(this.entries, name);
+  }
+
+  /**
+   * Value of an entry: a string (mailbox password) or an object (panel credentials)
+   */
+  get(name) {
+    if (!this.has(name)) {
+      throw new Error(`Vault entry not found: ${name}`);
+    }
+    return this.entries[name].value;
+  }
+
+  set(name, value) {
+    this.assertUnlocked();
+    this.entries[name] = { value, updatedAt: new Date().toISOString() };
+  }
+
+  remove(name) {
+    if (!this.has(name)) {
+      throw new Error(`Vault entry not found: ${name}`);
+    }
+    delete this.entries[name];
+  }
+
+  /**
+   * Entry names with their type and last update, without values
+   */
+  list() {
+    this.assertUnlocked();
+    return Object.entries(this.entries)
+      .map(([name, entry]) => ({
+        name,
+        type: typeof entry.value === 'string' ? 'password' : (entry.value.type || 'credentials'),
+        updatedAt: entry.updatedAt
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+}
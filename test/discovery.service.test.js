@@ -0,0 +1,281 @@
+import assert from 'node:assert/strict';
+import dgram from 'node:dgram';
+import http from 'node:http';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import fs from 'fs-extra';
+import { ImapDiscoveryService } from '../src/services/imap/discovery.service.js';
+import { ImapService } from '../src/services/imap/sync.service.js';
+
+const DNS_TYPES = { A: 1, MX: 15, SRV: 33 };
+
+/**
+ * Local DNS server answering A, MX and SRV queries from a zone map ("name TYPE" -> answers); anything else is NXDOMAIN
+ */
+function startDnsServer(zone) {
+  const encodeName = name => Buffer.concat([
+    ...name.split('.').map(label => Buffer.concat([Buffer.from([label.length]), Buffer.from(label)])),
+    Buffer.from([0])
+  ]);
+  const u16 = value => {
+    const buffer = Buffer.alloc(2);
+    buffer.writeUInt16BE(value);
+    return buffer;
+  };
+  const encodeData = (type, answer) => {
+    if (type === DNS_TYPES.SRV) {
+      return Buffer.concat([u16(answer.priority), u16(answer.weight), u16(answer.port), encodeName(answer.name)]);
+    }
+    if (type === DNS_TYPES.MX) {
+      return Buffer.concat([u16(answer.priority), encodeName(answer.exchange)]);
+    }
+    return Buffer.from(answer.split('.').map(Number));
+  };
+
+  const server = dgram.createSocket('udp4');
+  server.on('message', (message, remote) => {
+    const labels = [];
+    let offset = 12;
+    while (message[offset]) {
+      labels.push(message.subarray(offset + 1, offset + 1 + message[offset]).toString());
+      offset += message[offset] + 1;
+    }
+    const type = message.readUInt16BE(offset + 1);
+    const questionEnd = offset + 5;
+    const typeName = Object.keys(DNS_TYPES).find(name => DNS_TYPES[name] === type);
+    const answers = zone[`${labels.join('.').toLowerCase()} ${typeName}`] || [];
+
+    const records = answers.map(answer => {
+      const data = encodeData(type, answer);
+      // Name: pointer to the question at offset 12; class IN, TTL 60
+      return Buffer.concat([Buffer.from([0xc0, 12]), u16(type), u16(1), u16(0), u16(60), u16(data.length), data]);
+    });
+    const header = Buffer.concat([
+      message.subarray(0, 2), u16(answers.length > 0 ? 0x8180 : 0x8183), u16(1), u16(records.length), u16(0), u16(0)
+    ]);
+    server.send(Buffer.concat([header, message.subarray(12, questionEnd), ...records]), remote.port, remote.address);
+  });
+  return new Promise(resolve => server.bind(0, '127.0.0.1', () => resolve(server)));
+}
+
+/**
+ * Local autoconfig server serving /<domain>.xml from a map of documents and recording every request
+ */
+function startAutoconfigServer(documents) {
+  const autoconfig = { requests: [] };
+  autoconfig.server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    autoconfig.requests.push({ domain: path.basename(url.pathname, '.xml'), email: url.searchParams.get('emailaddress') });
+    const document = documents[path.basename(url.pathname, '.xml')];
+    res.writeHead(document ? 200 : 404, { 'Content-Type': 'text/xml' });
+    res.end(document || 'not found');
+  });
+  return new Promise(resolve => autoconfig.server.listen(0, '127.0.0.1', () => {
+    autoconfig.url = `http://127.0.0.1:${autoconfig.server.address().port}/{domain}.xml?emailaddress={email}`;
+    resolve(autoconfig);
+  }));
+}
+
+const clientConfig = (...servers) => `<?xml version="1.0"?>
+<clientConfig version="1.1"><emailProvider id="test">
+${servers.map(({ type = 'imap', hostname, port, socketType }) => `<incomingServer type="${type}">
+  <hostname>${hostname}</hostname><port>${port}</port><socketType>${socketType}</socketType>
+</incomingServer>`).join('\n')}
+</emailProvider></clientConfig>`;
+
+describe('ImapDiscoveryService', () => {
+  let dns;
+  let autoconfig;
+  let dir;
+  let previousConfig;
+
+  const ZONE = {
+    '_imaps._tcp.srv.test SRV': [{ priority: 10, weight: 0, port: 993, name: 'imap.srv.test' }],
+    'srv.test MX': [{ priority: 10, exchange: 'aspmx.l.google.com' }],
+    '_imap._tcp.plain.test SRV': [
+      { priority: 20, weight: 0, port: 143, name: 'backup.plain.test' },
+      { priority: 10, weight: 0, port: 143, name: 'imap.plain.test' }
+    ],
+    'ac.test MX': [{ priority: 10, exchange: 'aspmx.l.google.com' }],
+    'gm.test MX': [{ priority: 10, exchange: 'alt1.aspmx.l.google.com' }],
+    'mx.test MX': [{ priority: 10, exchange: 'mx.mx.test' }],
+    'mx.mx.test A': ['127.0.0.1']
+  };
+
+  const DOCUMENTS = {
+    'srv.test': clientConfig({ hostname: 'autoconfig.srv.test', port: 993, socketType: 'SSL' }),
+    'ac.test': clientConfig(
+      { type: 'pop3', hostname: 'pop.%EMAILDOMAIN%', port: 995, socketType: 'SSL' },
+      { hostname: 'starttls.%EMAILDOMAIN%', port: 143, socketType: 'STARTTLS' },
+      { hostname: 'imap.%EMAILDOMAIN%', port: 993, socketType: 'SSL' }
+    ),
+    'per.test': clientConfig({ hostname: '%EMAILLOCALPART%.imap.per.test', port: 993, socketType: 'SSL' })
+  };
+
+  const createService = () => new ImapDiscoveryService({
+    timeout: 2,
+    dnsServers: [`127.0.0.1:${dns.address().port}`],
+    autoconfigUrls: [autoconfig.url]
+  });
+
+  before(async () => {
+    dns = await startDnsServer(ZONE);
+    autoconfig = await startAutoconfigServer(DOCUMENTS);
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'emoo-discovery-'));
+    // Only the built-in provider presets, whatever the config file of the machine says
+    previousConfig = process.env.EMOO_CONFIG;
+    process.env.EMOO_CONFIG = path.join(dir, 'config.json');
+  });
+
+  after(async () => {
+    dns.close();
+    autoconfig.server.close();
+    await fs.remove(dir);
+    if (previousConfig === undefined) {
+      delete process.env.EMOO_CONFIG;
+    } else {
+      process.env.EMOO_CONFIG = previousConfig;
+    }
+  });
+
+  beforeEach(() => {
+    autoconfig.requests = [];
+  });
+
+  it('prefers SRV records over autoconfig and MX', async () => {
+    const result = await createService().discover('user@srv.test');
+
+    assert.deepEqual(result, { host: 'imap.srv.test', port: 993, ssl: true, source: 'SRV', detail: '_imaps._tcp.srv.test' });
+    assert.equal(autoconfig.requests.length, 0);
+  });
+
+  it('falls back to _imap._tcp with the lowest priority target', async () => {
+    const result = await createService().discover('user@plain.test');
+
+    assert.equal(result.host, 'imap.plain.test');
+    assert.equal(result.port, 143);
+    assert.equal(result.ssl, false);
+  });
+
+  it('prefers autoconfig over MX and picks its implicit TLS IMAP server', async () => {
+    const result = await createService().discover('user@ac.test');
+
+    assert.equal(result.source, 'autoconfig');
+    assert.equal(result.host, 'imap.ac.test');
+    assert.equal(result.port, 993);
+    assert.equal(result.ssl, true);
+    assert.deepEqual(autoconfig.requests, [{ domain: 'ac.test', email: 'user@ac.test' }]);
+  });
+
+  it('maps MX records of a known provider to its preset', async () => {
+    const result = await createService().discover('user@gm.test');
+
+    assert.equal(result.source, 'MX');
+    assert.equal(result.provider, 'gmail');
+    assert.equal(result.host, 'imap.gmail.com');
+    assert.equal(result.port, 993);
+  });
+
+  it('guesses a server next to other MX records when it answers', async () => {
+    const service = createService();
+    const probed = [];
+    service.probe = async (host, port) => {
+      probed.push(`${host}:${port}`);
+      return host === 'imap.mx.test' && port === 143;
+    };
+
+    const result = await service.discover('user@mx.test');
+
+    assert.equal(result.source, 'MX guess');
+    assert.equal(result.host, 'imap.mx.test');
+    assert.equal(result.ssl, false);
+    assert.deepEqual(probed, [
+      'mx.mx.test:993', 'imap.mx.test:993', 'mail.mx.test:993', 'mx.mx.test:143', 'imap.mx.test:143'
+    ]);
+  });
+
+  it('probes hosts through the configured DNS servers', async () => {
+    const listener = net.createServer(socket => socket.end());
+    await new Promise(resolve => listener.listen(0, '127.0.0.1', resolve));
+    const { port } = listener.address();
+    const service = createService();
+
+    assert.equal(await service.probe('mx.mx.test', port), true);
+    await new Promise(resolve => listener.close(resolve));
+    assert.equal(await service.probe('mx.mx.test', port), false);
+  });
+
+  it('finds nothing for a domain without records', async () => {
+    assert.equal(await createService().discover('user@none.test'), null);
+    assert.equal(await createService().discover('not-an-address'), null);
+  });
+
+  it('looks a domain up once for all of its addresses', async () => {
+    const service = createService();
+
+    const results = await Promise.all([service.discover('a@ac.test'), service.discover('B@AC.test')]);
+
+    assert.equal(results[0], results[1]);
+    assert.equal(autoconfig.requests.length, 1);
+  });
+
+  it('looks every address up itself when the autoconfig host name is built from the address', async () => {
+    const service = createService();
+
+    const first = await service.discover('alice@per.test');
+    const second = await service.discover('bob@per.test');
+
+    assert.equal(first.host, 'alice.imap.per.test');
+    assert.equal(second.host, 'bob.imap.per.test');
+    assert.equal(await service.discover('Alice@per.test'), first);
+    assert.deepEqual(autoconfig.requests.map(request => request.email), ['alice@per.test', 'bob@per.test']);
+  });
+
+  describe('writeBack', () => {
+    const CSV = [
+      'src_host,src_user,src_pass,dst_host,dst_user,dst_pass,dst_port',
+      ',a@srv.test,p,imap.dest.test,a@dest.test,p,',
+      'imap.old.test,b@old.test,p,,b@gm.test,p,1993',
+      '#imap.old.test,c@old.test,p,,c@gm.test,p,',
+      ''
+    ].join('\n');
+
+    const fillFile = async (name) => {
+      const file = path.join(dir, name);
+      await fs.writeFile(file, CSV);
+      const lookups = await createService().fillConfigs(await new ImapService().parseCsvFile(file));
+      return { file, lookups };
+    };
+
+    it('writes discovered values into the empty cells only and keeps a .bak copy', async () => {
+      const { file, lookups } = await fillFile('accounts.csv');
+
+      assert.deepEqual(lookups.map(({ index, side }) => `${index} ${side}`), ['0 src', '1 dst']);
+      assert.equal(await ImapDiscoveryService.writeBack(file, lookups), 6);
+
+      assert.equal(await fs.readFile(`${file}.bak`, 'utf8'), CSV);
+      const rows = await new ImapService().parseCsvFile(file, { presets: false });
+      assert.equal(rows.length, 3);
+      assert.deepEqual(
+        [rows[0].src_host, rows[0].src_port, rows[0].src_ssl, rows[0].dst_host, rows[0].dst_port],
+        ['imap.srv.test', '993', '1', 'imap.dest.test', '']
+      );
+      assert.deepEqual(
+        [rows[1].dst_host, rows[1].dst_port, rows[1].dst_ssl, rows[1].dst_provider],
+        ['imap.gmail.com', '1993', '1', 'gmail']
+      );
+      assert.equal(rows[2].src_host, '#imap.old.test');
+      assert.equal(rows[2].dst_host, '');
+
+      // Everything is filled in now: nothing to write and the .bak copy stays the original
+      assert.equal(await ImapDiscoveryService.writeBack(file, lookups), 0);
+      assert.equal(await fs.readFile(`${file}.bak`, 'utf8'), CSV);
+    });
+
+    it('refuses to write into job files', async () => {
+      await assert.rejects(ImapDiscoveryService.writeBack(path.join(dir, 'jobs.yaml'), []), /Cannot write discovered settings into a job file/);
+    });
+  });
+});
@@ -0,0 +1,194 @@
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import fs from 'fs-extra';
+import { OAuthTokenService } from '../src/services/imap/oauth.service.js';
+
+/**
+ * Local token endpoint recording every request; reply(params) decides the answer
+ */
+function startTokenEndpoint() {
+  const endpoint = { requests: [], reply: () => ({ status: 200, body: { access_token: 'fresh-token', expires_in: 3600 } }) };
+  endpoint.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const params = Object.fromEntries(new URLSearchParams(body));
+      endpoint.requests.push(params);
+      const { status, body: reply } = endpoint.reply(params);
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(reply));
+    });
+  });
+  return new Promise(resolve => endpoint.server.listen(0, '127.0.0.1', () => {
+    endpoint.url = `http://127.0.0.1:${endpoint.server.address().port}/token`;
+    resolve(endpoint);
+  }));
+}
+
+describe('OAuthTokenService', () => {
+  let endpoint;
+  let dir;
+  const now = () => Math.floor(Date.now() / 1000);
+
+  const writeTokenFile = async (credentials) => {
+    const file = path.join(dir, `${crypto.randomUUID()}.json`);
+    await fs.writeJson(file, { token_endpoint: endpoint.url, ...credentials });
+    return file;
+  };
+
+  before(async () => {
+    endpoint = await startTokenEndpoint();
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'emoo-oauth-'));
+  });
+
+  after(async () => {
+    endpoint.server.close();
+    await fs.remove(dir);
+  });
+
+  beforeEach(() => {
+    endpoint.requests = [];
+    endpoint.reply = () => ({ status: 200, body: { access_token: 'fresh-token', expires_in: 3600 } });
+  });
+
+  it('refreshes with the refresh token and writes the new token back', async () => {
+    const file = await writeTokenFile({ client_id: 'id', client_secret: 'secret', refresh_token: 'refresh-1' });
+    endpoint.reply = () => ({ status: 200, body: { access_token: 'fresh-token', expires_in: 600, refresh_token: 'refresh-2' } });
+
+    const token = await new OAuthTokenService().getAccessToken(file, 'user@example.com');
+
+    assert.equal(token, 'fresh-token');
+    assert.deepEqual(endpoint.requests, [{
+      grant_type: 'refresh_token', refresh_token: 'refresh-1', client_id: 'id', client_secret: 'secret'
+    }]);
+    const saved = await fs.readJson(file);
+    assert.equal(saved.access_token, 'fresh-token');
+    assert.equal(saved.refresh_token, 'refresh-2');
+    assert.ok(Math.abs(saved.expires_at - (now() + 600)) <= 5);
+  });
+
+  it('uses a stored token that is still valid without a request', async () => {
+    const file = await writeTokenFile({
+      client_id: 'id', refresh_token: 'refresh-1', access_token: 'stored-token', expires_at: now() + 3600
+    });
+
+    assert.equal(await new OAuthTokenService().getAccessToken(file, 'user@example.com'), 'stored-token');
+    assert.equal(endpoint.requests.length, 0);
+  });
+
+  it('refreshes a stored token that expires within the margin', async () => {
+    const file = await writeTokenFile({
+      client_id: 'id', refresh_token: 'refresh-1', access_token: 'stale-token',
+      expires_at: now() + OAuthTokenService.EXPIRY_MARGIN_SECONDS - 10
+    });
+
+    assert.equal(await new OAuthTokenService().getAccessToken(file, 'user@example.com'), 'fresh-token');
+    assert.equal(endpoint.requests.length, 1);
+  });
+
+  it('shares one refresh between rows asking at the same time', async () => {
+    const file = await writeTokenFile({ client_id: 'id', refresh_token: 'refresh-1' });
+    const service = new OAuthTokenService();
+
+    const tokens = await Promise.all([
+      service.getAccessToken(file, 'user@example.com'),
+      service.getAccessToken(file, 'user@example.com')
+    ]);
+
+    assert.deepEqual(tokens, ['fresh-token', 'fresh-token']);
+    assert.equal(endpoint.requests.length, 1);
+  });
+
+  it('refreshes a file shared by several users once and keeps the rotated refresh token', async () => {
+    const file = await writeTokenFile({ client_id: 'id', refresh_token: 'refresh-1' });
+    endpoint.reply = () => ({
+      status: 200,
+      body: { access_token: `token-${endpoint.requests.length}`, expires_in: 3600, refresh_token: `refresh-${endpoint.requests.length + 1}` }
+    });
+
+    // Two users of one sync, plus an overlapping watch cycle with its own service
+    const service = new OAuthTokenService();
+    const tokens = await Promise.all([
+      service.getAccessToken(file, 'user1@example.com'),
+      service.getAccessToken(file, 'user2@example.com'),
+      new OAuthTokenService().getAccessToken(file, 'user3@example.com')
+    ]);
+
+    assert.deepEqual(tokens, ['token-1', 'token-1', 'token-1']);
+    assert.deepEqual(endpoint.requests.map(request => request.refresh_token), ['refresh-1']);
+    const saved = await fs.readJson(file);
+    assert.equal(saved.refresh_token, 'refresh-2');
+    assert.equal(saved.access_token, 'token-1');
+  });
+
+  it('requests client credentials tokens', async () => {
+    const file = await writeTokenFile({
+      grant_type: 'client_credentials', client_id: 'id', client_secret: 'secret', scope: 'https://outlook.office365.com/.default'
+    });
+
+    assert.equal(await new OAuthTokenService().getAccessToken(file, 'user@example.com'), 'fresh-token');
+    assert.deepEqual(endpoint.requests, [{
+      grant_type: 'client_credentials', client_id: 'id', client_secret: 'secret', scope: 'https://outlook.office365.com/.default'
+    }]);
+  });
+
+  it('signs a JWT for service accounts and never caches their tokens', async () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const file = await writeTokenFile({
+      type: 'service_account',
+      client_email: 'migrator@project.iam.gserviceaccount.com',
+      private_key: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+      token_uri: endpoint.url
+    });
+    const original = await fs.readFile(file, 'utf8');
+
+    assert.equal(await new OAuthTokenService().getAccessToken(file, 'user@example.com'), 'fresh-token');
+
+    const [request] = endpoint.requests;
+    assert.equal(request.grant_type, 'urn:ietf:params:oauth:grant-type:jwt-bearer');
+    const [header, claims, signature] = request.assertion.split('.');
+    const verified = crypto.createVerify('RSA-SHA256').update(`${header}.${claims}`)
+      .verify(publicKey, Buffer.from(signature, 'base64url'));
+    assert.ok(verified);
+    const payload = JSON.parse(Buffer.from(claims, 'base64url').toString());
+    assert.equal(payload.sub, 'user@example.com');
+    assert.equal(payload.aud, endpoint.url);
+    assert.equal(payload.scope, OAuthTokenService.GOOGLE_MAIL_SCOPE);
+    assert.equal(await fs.readFile(file, 'utf8'), original);
+  });
+
+  it('reports a rejected grant as an authentication failure', async () => {
+    const file = await writeTokenFile({ client_id: 'id', refresh_token: 'revoked' });
+    endpoint.reply = () => ({ status: 400, body: { error: 'invalid_grant', error_description: 'Token has been revoked' } });
+
+    await assert.rejects(new OAuthTokenService().getAccessToken(file, 'user@example.com'), error => {
+      assert.match(error.message, /Token has been revoked/);
+      assert.equal(error.authenticationFailed, true);
+      return true;
+    });
+  });
+
+  it('treats server errors as retryable', async () => {
+    const file = await writeTokenFile({ client_id: 'id', refresh_token: 'refresh-1' });
+    endpoint.reply = () => ({ status: 503, body: { error: 'temporarily_unavailable' } });
+
+    await assert.rejects(new OAuthTokenService().getAccessToken(file, 'user@example.com'), error => {
+      assert.equal(error.authenticationFailed, false);
+      return true;
+    });
+  });
+
+  it('falls back to the --token-endpoint default', async () => {
+    const file = path.join(dir, 'no-endpoint.json');
+    await fs.writeJson(file, { client_id: 'id', refresh_token: 'refresh-1' });
+
+    await assert.rejects(new OAuthTokenService().getAccessToken(file, 'user@example.com'), /No token endpoint/);
+    assert.equal(await new OAuthTokenService({ tokenEndpoint: endpoint.url }).getAccessToken(file, 'user@example.com'), 'fresh-token');
+  });
+});
@@ -0,0 +1,63 @@
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import fs from 'fs-extra';
+import { PreflightService } from '../src/services/imap/preflight.service.js';
+import { SyncRow } from '../src/services/imap/row.service.js';
+import { ImapService } from '../src/services/imap/sync.service.js';
+
+describe('SyncRow originals', () => {
+  let dir;
+  let previousConfig;
+
+  const CSV = [
+    'src_provider,src_user,src_pass,dst_host,dst_user,dst_pass',
+    'gmail,a@gmail.com,p,imap.new.test,a@new.test,p',
+    ',b@old.test,p,imap.new.test,b@new.test,p',
+    ''
+  ].join('\n');
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'emoo-rows-'));
+    // Only the built-in provider presets, whatever the config file of the machine says
+    previousConfig = process.env.EMOO_CONFIG;
+    process.env.EMOO_CONFIG = path.join(dir, 'config.json');
+  });
+
+  after(async () => {
+    await fs.remove(dir);
+    if (previousConfig === undefined) {
+      delete process.env.EMOO_CONFIG;
+    } else {
+      process.env.EMOO_CONFIG = previousConfig;
+    }
+  });
+
+  it('fills presets into a copy and keeps the row as read with its line number', async () => {
+    const file = path.join(dir, 'accounts.csv');
+    await fs.writeFile(file, CSV);
+
+    const [gmail, plain] = await new ImapService().parseCsvFile(file, { dstProvider: 'dovecot' });
+
+    assert.equal(gmail.src_host, 'imap.gmail.com');
+    assert.equal(gmail.dst_provider, 'dovecot');
+    assert.equal(SyncRow.getLineNumber(gmail), 2);
+    assert.deepEqual(SyncRow.getOriginal(gmail), {
+      src_provider: 'gmail', src_user: 'a@gmail.com', src_pass: 'p', dst_host: 'imap.new.test', dst_user: 'a@new.test', dst_pass: 'p'
+    });
+    assert.equal(SyncRow.getLineNumber(plain), 3);
+  });
+
+  it('writes re-runnable CSVs with the original rows and columns', async () => {
+    const file = path.join(dir, 'check.csv');
+    const output = path.join(dir, 'passing.csv');
+    await fs.writeFile(file, CSV);
+    const imapService = new ImapService();
+    const configs = await imapService.parseCsvFile(file);
+
+    await new PreflightService(imapService).writePassingCsv(configs.map((config, index) => ({ config, ok: index === 0 })), output);
+
+    assert.equal(await fs.readFile(output, 'utf8'), `${CSV.split('\n').slice(0, 2).join('\n')}\n`);
+  });
+});
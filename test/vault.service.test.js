@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import fs from 'fs-extra';
+import { VaultService } from '../src/services/shared/vault.service.js';
+
+const BIN = fileURLToPath(new URL('../bin/run.js', import.meta.url));
+
+/**
+ * Run the CLI with input piped on stdin; resolves with { code, stdout, stderr }
+ */
+function runEmoo(args, { input = '', env = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [BIN, ...args], { env: { ...process.env, ...env }, stdio: 'pipe' });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', chunk => {
+      stdout += chunk;
+    });
+    child.stderr.on('data', chunk => {
+      stderr += chunk;
+    });
+    child.on('error', reject);
+    child.on('close', code => resolve({ code, stdout, stderr }));
+    child.stdin.end(input);
+  });
+}
+
+describe('emoo vault set with piped stdin', () => {
+  let dir;
+  let file;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'emoo-vault-'));
+    file = path.join(dir, 'vault.json');
+    await new VaultService(file).create('pw');
+  });
+
+  after(async () => {
+    await fs.remove(dir);
+  });
+
+  it('stores the piped password and unlocks with EMOO_VAULT_PASSPHRASE', async () => {
+    const result = await runEmoo(['vault', 'set', 'mail/a@b.c'], {
+      input: 'secret123\n',
+      env: { EMOO_VAULT_FILE: file, EMOO_VAULT_PASSPHRASE: 'pw' }
+    });
+
+    assert.equal(result.code, 0, result.stderr);
+    const vault = new VaultService(file);
+    await vault.unlock('pw');
+    assert.equal(vault.get('mail/a@b.c'), 'secret123');
+  });
+
+  it('asks for EMOO_VAULT_PASSPHRASE instead of reading the passphrase from the pipe', async () => {
+    const result = await runEmoo(['vault', 'set', 'mail/b@b.c'], {
+      input: 'secret456\n',
+      env: { EMOO_VAULT_FILE: file, EMOO_VAULT_PASSPHRASE: '' }
+    });
+
+    assert.notEqual(result.code, 0);
+    assert.match(result.stderr, /Set EMOO_VAULT_PASSPHRASE to unlock the vault/);
+    const vault = new VaultService(file);
+    await vault.unlock('pw');
+    assert.equal(vault.has('mail/b@b.c'), false);
+  });
+});